@@ -1,419 +1,176 @@
 import readline from 'node:readline/promises'
 import { stdin as input, stdout as output } from 'node:process'
-import { exec } from 'node:child_process'
-import OpenAI from 'openai'
-import dotenv from 'dotenv'
 import chalk from 'chalk'
-import ora from 'ora'
-import fs from 'fs'
-import path from 'path'
+import { config } from './lib/config.mjs'
+import { createProvider } from './lib/providers.mjs'
+import { createContextManager } from './lib/context.mjs'
+import { stopAll } from './lib/processes.mjs'
+import {
+   CancelledError,
+   beginCancellable,
+   endCancellable,
+   installInterruptHandler,
+   isCancellation,
+   isCancelled,
+   requestInterrupt,
+} from './lib/cancel.mjs'
+import {
+   executeTask,
+   previewTask,
+   applyPlan,
+   getCurrentDir,
+   setCurrentDir,
+} from './lib/tasks.mjs'
+import { enableDryRun, isDryRun, resetPlan, reviewPlan } from './lib/dryRun.mjs'
+import {
+   beginPrompt,
+   endPrompt,
+   finishFailedRun,
+   handleJournalCommand,
+} from './lib/journal.mjs'
+import { observationMessage } from './lib/observe.mjs'
+import { systemPromptFor } from './lib/systemPrompt.mjs'
+import { refreshProject } from './lib/project.mjs'
+import { createDependencyTracker, verifiedOutput } from './lib/packages.mjs'
+import { createVerifier } from './lib/verify.mjs'
+import {
+   recordResult,
+   attemptsLeft,
+   shouldGiveUp,
+   failureSummary,
+   printFailureSummary,
+} from './lib/failures.mjs'
+import { ResponseValidationError } from './lib/responses.mjs'
+import { RUN_STATUS, runStatus } from './lib/agent.mjs'
+import { createAgentReader } from './lib/toolCalls.mjs'
 //?? Changes
 import { Annotation } from '@langchain/langgraph'
 import { StateGraph } from '@langchain/langgraph'
-
-import { traceable } from 'langsmith/traceable'
+import { interrupt, Command } from '@langchain/langgraph'
+import { createCheckpointer, listThreads } from './lib/checkpoints.mjs'
+import {
+   startTrace,
+   endTrace,
+   traceNode,
+   handleTraceCommand,
+} from './lib/tracing.mjs'
+import {
+   needsApproval,
+   approvalRecord,
+   rejectionMessage,
+   askApproval,
+} from './lib/approval.mjs'
 
 //? Loading & Intiallizing
-dotenv.config()
-
-const openai = new OpenAI({
-   apiKey: process.env.GEMINI_API_KEY,
-   baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai/',
-})
-
-let currentDir = process.cwd()
-//? Loading & Intiallizing Done
-
-//? Functions Definations
-//* 1. Run shell commands (npm installs, git, etc.)
-function runShellCommand(command) {
-   const spinner = ora(chalk.cyan(`Running: ${command}`)).start()
-
-   return new Promise((resolve, reject) => {
-      exec(command, { cwd: currentDir }, (error, stdout, stderr) => {
-         if (error) {
-            spinner.fail(chalk.red(`Failed: ${command}`))
-            console.error(chalk.redBright(`❌ Error:\n${stderr}`))
-            return reject(error)
-         }
-
-         spinner.succeed(chalk.bold.greenBright(`Success: ${command}`))
-         console.log(chalk.gray(stdout.trim()))
-         resolve(stdout)
-      })
-   })
-}
-
-//* 2. Write to a file (creates file and folders if needed)
-function writeFile(targetPath, content) {
-   const fullPath = path.resolve(currentDir, targetPath)
-   fs.mkdirSync(path.dirname(fullPath), { recursive: true })
-   fs.writeFileSync(fullPath, content, 'utf8')
-   console.log(chalk.bold.green('📄 File written:'), chalk.blue(fullPath))
-}
-
-//* 3. Read a file
-function readFile(targetPath) {
-   const fullPath = path.resolve(currentDir, targetPath)
-   if (fs.existsSync(fullPath)) {
-      const content = fs.readFileSync(fullPath, 'utf8')
-      console.log(
-         chalk.bold.green('📖 File content from:'),
-         chalk.blue(fullPath)
-      )
-      console.log(chalk.gray(content))
-      return content
-   } else {
-      console.warn(chalk.red('⚠️ File not found:'), chalk.cyan(fullPath))
-      return null
-   }
-}
-
-//* 4. Edit file (e.g., replace placeholder text, append/import, etc.)
-function editFile(targetPath, content) {
-   const fullPath = path.resolve(currentDir, targetPath)
-   if (fs.existsSync(fullPath)) {
-      fs.writeFileSync(fullPath, content, 'utf8')
-      console.log(chalk.bold.green('✏️ File edited:'), chalk.blue(fullPath))
-   } else {
-      console.warn(
-         chalk.red('⚠️ Cannot edit, file not found:'),
-         chalk.blue(fullPath)
-      )
-   }
-}
-
-//* 5. Change working directory (virtual)
-function changeDirectory(newPath) {
-   const targetPath = path.resolve(currentDir, newPath)
-   if (fs.existsSync(targetPath) && fs.lstatSync(targetPath).isDirectory()) {
-      currentDir = targetPath
-      console.log(
-         chalk.bold.green('📁 Changed directory to:'),
-         chalk.blue(currentDir)
-      )
-   } else {
-      fs.mkdirSync(targetPath, { recursive: true })
-      currentDir = targetPath
-      console.log(
-         chalk.bold.green('📁 Created and changed directory to:'),
-         chalk.blue(currentDir)
-      )
-   }
-}
-
-//*Some Sub functions \
-//*🧹 cleanUp() – Remove unwanted files or directories (e.g., default CRA files)
-function cleanUp(paths) {
-   paths.forEach((p) => {
-      const fullPath = path.resolve(currentDir, p)
-      if (fs.existsSync(fullPath)) {
-         fs.lstatSync(fullPath).isDirectory()
-            ? fs.rmSync(fullPath, { recursive: true, force: true })
-            : fs.unlinkSync(fullPath)
-         console.log(chalk.red('🧹 Removed:'), chalk.cyan(fullPath))
-      }
-   })
-}
-
-//*🧪 fileContains() – Check if file has a specific string (used before appending)
-function fileContains(filePath, searchText) {
-   const fullPath = path.resolve(currentDir, filePath.trim())
-   if (fs.existsSync(fullPath)) {
-      const content = fs.readFileSync(fullPath, 'utf8')
-      return content.includes(searchText)
-   }
-   return false
-}
-
-//* logStep() – For clearly describing each step an AI is performing
-function logStep(description) {
-   console.log('\n')
-
+if (process.argv.includes('--dry-run')) {
+   enableDryRun()
    console.log(
-      '🔧 ' + chalk.bgCyanBright.black(` Step: `),
-      chalk.bold.cyan(description)
-   )
-   // console.log('\n')
-}
-
-//*🔍 parseShellErrors() – Extract common error patterns from stderr (AI could use this for debugging)
-function parseShellErrors(stderr) {
-   const errors = []
-
-   const lines = stderr.split('\n')
-   lines.forEach((line) => {
-      if (line.toLowerCase().includes('error') || line.includes('ERR_')) {
-         errors.push(line.trim())
-      }
-   })
-
-   if (errors.length) {
-      console.log(chalk.bgRed.white('🛑 Detected Errors:'))
-      errors.forEach((err) =>
-         console.log(chalk.redBright('•'), chalk.yellow(err))
+      chalk.bold.magenta(
+         '📝 Dry-run mode: nothing is executed until you apply the plan'
       )
-   } else {
-      console.log(chalk.green('✅ No critical errors found in stderr'))
-   }
-
-   return errors
+   )
 }
 
-//*🧠 suggestImportsOrFixes() – (Idea for AI): Based on error output, suggest imports or fixes
-function suggestImportsOrFixes(stderr) {
-   const suggestions = []
-
-   if (stderr.includes('React is not defined')) {
-      suggestions.push(
-         `Did you forget to import React?\n  👉 Add: import React from 'react'`
-      )
-   }
-
-   if (stderr.includes('Module not found')) {
-      const match = stderr.match(/Can't resolve '(.*?)'/)
-      if (match) {
-         suggestions.push(
-            `Missing dependency: ${match[1]}\n  👉 Try: npm install ${match[1]}`
-         )
-      }
-   }
+const provider = createProvider(config)
+console.log(
+   chalk.gray(`🤖 Provider: ${provider.name} (model: ${provider.model})`)
+)
+
+const context = createContextManager(provider)
+const reader = createAgentReader(provider, context)
+console.log(chalk.gray(`🔌 Protocol: ${reader.protocol}`))
+console.log(chalk.gray('↩️  Commands: "undo" | "undo <n>" | "history"'))
+console.log(
+   chalk.gray(
+      '🧵 Threads: "threads" | "thread" | "thread <id>" | "new" | "resume"'
+   )
+)
+console.log(chalk.gray('🧭 Traces: "traces" | "trace view [id]"'))
+refreshProject(getCurrentDir())
 
-   if (suggestions.length) {
-      console.log(chalk.bgBlue.white('💡 Suggestions:'))
-      suggestions.forEach((s) => console.log(chalk.cyan('•'), chalk.green(s)))
-   }
+//* LangGraph stops a run after this many node steps, one prompt can take dozens
+const RECURSION_LIMIT = 250
 
-   return suggestions
+function argValue(name) {
+   const index = process.argv.indexOf(name)
+   return index === -1 ? undefined : process.argv[index + 1]
 }
 
-//* 6. Decide and execute task
-async function executeTask(task) {
-   const { type, input, content } = task
-
-   switch (type) {
-      case 'shell':
-         await runShellCommand(input)
-         break
-      case 'write':
-         writeFile(input, content)
-         break
-      case 'read':
-         return readFile(input)
-      //  break
-      case 'edit':
-         editFile(input, content)
-         break
-      case 'cd':
-         changeDirectory(input)
-         break
-      case 'clean':
-         cleanUp(input) //input is Path
-         break
-      case 'contains':
-         return fileContains(input, content)
-      //  break
-      case 'log':
-         logStep(input)
-         break
-      case 'errors':
-         parseShellErrors(input) //input -stderr
-         break
-      case 'suggestions':
-         suggestImportsOrFixes(input)
-         break
-      default:
-         console.error(chalk.red('❓ Unknown task type'))
-   }
+function newThreadId() {
+   const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)
+   return `${stamp}-${Math.random().toString(36).slice(2, 6)}`
 }
-//? Functions Definations Done
+//? Loading & Intiallizing Done
 
 //? AI Working
 
-const system_prompt = `
-You are an Expert Developer.
-
-Your working methodology follows 4 main steps: Analyze, Convert, Action, Output.
-
-
-
----
-
-### Step 1: Analyze
-
-- Analyze what the user is asking.
-- Understand the intent — whether it's about creating a project, installing packages, making components, setting up tools, etc.
-- Summarize the user intent in a simple sentence.
-
----
-
-### Step 2: Convert
-
-- Break down the user query into **step-by-step actionable instructions** relevant to a React context.
-- Each step should be stored inside a \`PHASES\` array.
-- Make sure steps are **minimal**, **sequential**, and **realistic** to execute.
-- Installable packages should be extracted by checking the documentation if needed.
-- If a component is to be created, describe it clearly.
-
----
-
-### Step 3: Action
-
-- Run the steps one-by-one **sequentially** using the \`executeTask\` function.
-- Every task must include:
-  - \`fType\`: One of \`shell\`, \`read\`, \`write\`, \`edit\`, \`cd\`, \`contains\`, \`clean\`, \`log\`, \`errors\`, \`suggestions\`
-  - \`fInput\`: The input or command to run
-  - \`fContent\` (optional): Extra content if needed (e.g., file content)
-
- - - Before **every step**, include a separate \`executeTask\` with:
-  - \`fType: "log"\`
-  - \`fInput\`: A short description of what the next step will do (e.g., "Installing Tailwind packages", "Navigating into project directory")
-
-
-
-- Use this pattern:
-  \`\`\`json
-  {
-    "step": "action",
-    "function": "executeTask",
-    "fType": "shell",
-    "fInput": "npm install react",
-    "fContent": ""
-  }
-  \`\`\`
-
-- For file edits/creation, use \`write\` or \`edit\` and provide full content via \`fContent\`.
-
----
-
-### Step 4: Output
-
-- Return a final JSON summarizing:
-  - What was done
-  - Packages that were installed
-  - Components that were created (if any)
-
----
-
-### Output JSON Format:
-
-\`\`\`json
-{
-  "step": "analyze" | "convert" | "action" | "output",
-  "componentName": "ComponentName (if applicable)",
-  "PHASES": ["Step 1", "Step 2", "..."], // only for "convert"
-  "PackagesInstalled": ["package-1", "package-2"], // optional
-  "function": "executeTask", // only used in action step
-  "fType": "shell" | "read" | "write" | "edit" | ...,
-  "fInput": "command or path",
-  "fContent": "file content or additional input",
-  "content": "summary or explanation"
-}
-\`\`\`
-
----
-
-### Rules:
-
-1. Always use \`executeTask\` with appropriate \`fType\`, \`fInput\`, and optional \`fContent\`.
-2. Never combine multiple commands.
-3. Wait for each step to complete before moving on.
-4. All 4 steps must be completed in every response.
-5. Output should always be valid JSON.
-6. - Before Each Step, include a separate \`executeTask\` with:
-  - \`fType: "log"\`
-  - \`fInput\`: A short description of what the next step will do (e.g., "Analyzing the user query, "Converting the user query into a actionable steps", "Installing Tailwind Css").
-
----
-
-### Example Flow:
-
-UserQuery: "Create a react app using Vite and install Tailwind CSS"
-
----
-
-1. **Analyze**
-
-\`\`\`json
-{
-  "step": "analyze",
-  "content": "User wants to create a React app using Vite and set up Tailwind CSS"
-}
-\`\`\`
-
-2. **Convert**
-
-\`\`\`json
-{
-  "step": "convert",
-  "PHASES": [
-    "Create a React app using Vite",
-    "Navigate into project directory",
-    "Install dependencies",
-    "Install Tailwind CSS and required packages",
-    "Initialize Tailwind config",
-    "Add Tailwind to CSS file"
-  ]
-}
-\`\`\`
-
-3. **Action**
-
-\`\`\`json
-{ "step": "action", "function": "executeTask", "fType": "shell", "fInput": "npm create vite@latest "appropriate-project-name" -- --template react", "fContent": "" }
-{ "step": "action", "function": "executeTask", "fType": "cd", "fInput": "my-app", "fContent": "" }
-{ "step": "action", "function": "executeTask", "fType": "shell", "fInput": "npm install", "fContent": "" }
-{ "step": "action", "function": "executeTask", "fType": "shell", "fInput": "npm install -D tailwindcss postcss autoprefixer", "fContent": "" }
-{ "step": "action", "function": "executeTask", "fType": "shell", "fInput": "npx tailwindcss init -p", "fContent": "" }
-{ "step": "action", "function": "executeTask", "fType": "write", "fInput": "src/index.css", "fContent": "@tailwind base;\\n@tailwind components;\\n@tailwind utilities;" }
-\`\`\`
-
-4. **Output**
-
-\`\`\`json
-{
-  "step": "output",
-  "PackagesInstalled": ["vite", "tailwindcss", "postcss", "autoprefixer"],
-  "content": "React app initialized using Vite and Tailwind CSS configured successfully"
+//* messageS reducer – nodes return only the messages they add
+function appendMessages(left, right) {
+   return left.concat(right ?? [])
 }
-\`\`\`
 
----
-`
-
-const message = [{ role: 'system', content: system_prompt }]
-
-async function Main(message) {
+async function Main() {
    //~Introducing Langgraph
-   // console.log('MessageReceived\n', message)
    //?? States Defined
    const StateAnnotation = Annotation.Root({
       promptS: Annotation,
       stepS: Annotation,
       resultS: Annotation,
-      messageS: Annotation,
+      messageS: Annotation({ reducer: appendMessages, default: () => [] }),
+      observationS: Annotation,
+      failuresS: Annotation,
+      cwdS: Annotation,
+      //* approvalS – decision for the pending action, approvalsS – every decision this thread
+      approvalS: Annotation,
+      approvalsS: Annotation({ reducer: appendMessages, default: () => [] }),
+      autoApproveS: Annotation,
+      //* verifyS – { passed, failed, skipped } of the checks the last output went through
+      verifyS: Annotation,
    })
 
+   //* package changes of the running turn, see lib/packages.mjs
+   let dependencies = createDependencyTracker(getCurrentDir())
+   let verifier = createVerifier()
+
    //?? Nodes Defined
    async function analyze(state) {
       console.log('⏩ Analyze :', state.resultS)
-      message.push({
-         role: 'assistant',
-         content: JSON.stringify(state.resultS),
-      })
+      return { messageS: reader.stepMessages(state.resultS) }
    }
 
    async function convert(state) {
       console.log('⏩ Convert :', state.resultS)
-      message.push({
-         role: 'assistant',
-         content: JSON.stringify(state.resultS),
-      })
+      return { messageS: reader.stepMessages(state.resultS) }
    }
 
    async function finalOutput(state) {
-      console.log('✅ Output :\n', state.resultS)
+      //* the project's own checks decide whether the turn is done
+      const verification = await verifier.verify(getCurrentDir())
+      if (isCancelled()) throw new CancelledError()
+      if (verification.retry) {
+         return {
+            messageS: [
+               ...reader.stepMessages(state.resultS),
+               verification.message,
+            ],
+            stepS: 'verify',
+         }
+      }
+
+      //* PackagesInstalled comes from package.json / the lockfile, not the model
+      const output = verifiedOutput(state.resultS, dependencies.diff())
+      if (verification.summary) output.verification = verification.summary
+      console.log('✅ Output :\n', output)
       console.log('\n')
+      return {
+         messageS: reader.stepMessages(state.resultS),
+         verifyS: verification.summary,
+      }
+   }
+
+   async function observe(state) {
+      console.log('👀 Observe :', state.resultS)
+      return { messageS: reader.stepMessages(state.resultS) }
    }
 
    async function action(state) {
@@ -421,106 +178,408 @@ async function Main(message) {
 
       const { fType, fInput, fContent } = state.resultS
 
+      //* baseline before the action: an install may create the package.json
+      dependencies.track(getCurrentDir())
+      let result
       if (fType && fInput !== undefined) {
-         await executeTask({
+         result = await executeTask({
             type: fType,
             input: fInput,
             content: fContent || '',
+            approved: Boolean(state.approvalS),
          })
       } else {
          console.warn('Missing fType or fInput in action step!')
+         result = {
+            type: fType,
+            input: fInput,
+            ok: false,
+            value: 'Missing fType or fInput in action step',
+         }
       }
 
-      message.push({
-         role: 'assistant',
-         content: JSON.stringify(state.resultS),
+      verifier.noteResult(result)
+      const failures = recordResult(state.failuresS ?? [], result)
+      if (!result.ok) {
+         //* queued steps were planned without knowing about this failure
+         reader.clear()
+         result.attemptsLeft = attemptsLeft(failures)
+      }
+
+      const observation = observationMessage(result)
+      return {
+         messageS: [
+            ...reader.stepMessages(state.resultS),
+            reader.resultMessage(state.resultS, observation),
+         ],
+         observationS: observation.content,
+         failuresS: failures,
+         cwdS: getCurrentDir(),
+      }
+   }
+
+   //* approval() – Pauses the graph (interrupt) until the REPL answers with a decision
+   async function approval(state) {
+      const step = state.resultS
+      if (!needsApproval(step)) return { approvalS: null }
+      if (state.autoApproveS) {
+         const record = approvalRecord(step, { decision: 'auto' })
+         return { approvalS: record, approvalsS: [record] }
+      }
+
+      const answer = interrupt({
+         type: step.fType,
+         input: step.fInput,
+         content: step.fContent,
+         preview: previewTask({
+            type: step.fType,
+            input: step.fInput,
+            content: step.fContent,
+         }),
       })
+      const record = approvalRecord(step, answer)
+
+      if (answer.decision === 'reject') {
+         //* the rest of the queued plan assumed this step would run
+         reader.clear()
+         return {
+            approvalS: record,
+            approvalsS: [record],
+            messageS: [
+               ...reader.stepMessages(step),
+               reader.resultMessage(
+                  step,
+                  rejectionMessage(step, answer.feedback)
+               ),
+            ],
+         }
+      }
+      return {
+         approvalS: record,
+         approvalsS: [record],
+         autoApproveS: answer.decision === 'auto' || state.autoApproveS,
+         resultS:
+            answer.decision === 'edit'
+               ? {
+                    ...step,
+                    fInput: answer.input ?? step.fInput,
+                    fContent: answer.content ?? step.fContent,
+                 }
+               : step,
+      }
+   }
+
+   async function approvalChecker(state) {
+      return state.approvalS?.decision === 'reject' ? 'geminiCall' : 'action'
+   }
+
+   //* a failed check sends the model back to fix it
+   async function outputChecker(state) {
+      return state.stepS === 'verify' ? 'geminiCall' : 'exit'
    }
 
+   async function actionChecker(state) {
+      return shouldGiveUp(state.failuresS ?? []) ? 'failed' : 'geminiCall'
+   }
+
+   async function failed(state) {
+      printFailureSummary(state.failuresS)
+      return {
+         messageS: [
+            {
+               role: 'user',
+               content: JSON.stringify({
+                  step: 'observe',
+                  ok: false,
+                  content: `Run aborted. ${failureSummary(state.failuresS)}`,
+               }),
+            },
+         ],
+      }
+   }
+
+   //* End of one prompt's run, the thread stays open for the next prompt
    async function exit(state) {
-      console.log(
-         chalk.bold.bgMagentaBright.black(
-            '\nThanks for using Agent Buddy! See You Later '
-         ) + '✌️'
-      )
-      console.log('\n')
+      console.log(chalk.gray(`🏁 Turn finished (${state.stepS})`))
    }
 
    async function promptStateChecker(state) {
-  
       console.log('🤖 Prompt State Checker :', state.stepS)
-      
       return state.stepS
    }
 
    async function firstRes(state) {
       console.log('😃 Entered FirstRes')
-      message.push({ role: 'user', content: state.promptS })
-      return state
+      refreshProject(getCurrentDir())
+      const prompt = { role: 'user', content: state.promptS }
+      //* the system prompt opens a new thread, later turns only add the prompt
+      return {
+         messageS: state.messageS.length
+            ? [prompt]
+            : [
+                 { role: 'system', content: systemPromptFor(reader.protocol) },
+                 prompt,
+              ],
+         stepS: null,
+         resultS: null,
+         failuresS: [],
+         approvalS: null,
+         autoApproveS: false,
+         verifyS: null,
+         cwdS: getCurrentDir(),
+      }
    }
 
-   
-
    async function geminiCall(state) {
-      console.log('🔀 Calling Gemini...')
-      const response = await openai.chat.completions.create({
-         model: 'gemini-2.0-flash',
-         response_format: { type: 'json_object' },
-         messages: message,
-      })
-
-      const parsed_result = JSON.parse(response.choices[0].message.content)
-      // console.log('Parsed resykt in firstRes', parsed_result)
+      if (!reader.pending()) console.log(`🔀 Calling ${provider.name}...`)
+      //* the reader appends re-prompts for invalid replies to the list it is given
+      const messages = [...state.messageS]
+      //* the thread keeps its first system prompt, the model sees the current project
+      messages[0] = {
+         role: 'system',
+         content: systemPromptFor(reader.protocol),
+      }
+      const parsed_result = await reader.next(messages)
       return {
-         ...state,
          resultS: parsed_result,
          stepS: parsed_result.step,
+         messageS: messages.slice(state.messageS.length),
       }
    }
 
    //?? Nodes & Edges
+   const checkpointer = createCheckpointer()
    const graph = new StateGraph(StateAnnotation)
 
-      .addNode('geminiCall', geminiCall)
-      .addNode('firstRes', firstRes)
-      .addNode('analyze', analyze)
-      .addNode('convert', convert)
-      .addNode('action', action)
-      .addNode('finalOutput', finalOutput)
-      .addNode('exit', exit)
+      .addNode('geminiCall', traceNode('geminiCall', geminiCall))
+      .addNode('firstRes', traceNode('firstRes', firstRes))
+      .addNode('analyze', traceNode('analyze', analyze))
+      .addNode('convert', traceNode('convert', convert))
+      .addNode('approval', traceNode('approval', approval))
+      .addNode('action', traceNode('action', action))
+      .addNode('observe', traceNode('observe', observe))
+      .addNode('failed', traceNode('failed', failed))
+      .addNode('finalOutput', traceNode('finalOutput', finalOutput))
+      .addNode('exit', traceNode('exit', exit))
 
       .addEdge('__start__', 'firstRes')
       .addEdge('firstRes', 'geminiCall')
       .addConditionalEdges('geminiCall', promptStateChecker, {
          analyze: 'analyze',
          convert: 'convert',
-         action: 'action',
+         action: 'approval',
+         observe: 'observe',
          output: 'finalOutput',
          exit: 'exit',
       })
       .addEdge('analyze', 'geminiCall')
       .addEdge('convert', 'geminiCall')
-      .addEdge('action', 'geminiCall')
-      .addEdge('finalOutput', 'exit')
+      .addConditionalEdges('approval', approvalChecker, {
+         action: 'action',
+         geminiCall: 'geminiCall',
+      })
+      .addConditionalEdges('action', actionChecker, {
+         geminiCall: 'geminiCall',
+         failed: 'failed',
+      })
+      .addEdge('observe', 'geminiCall')
+      .addConditionalEdges('finalOutput', outputChecker, {
+         geminiCall: 'geminiCall',
+         exit: 'exit',
+      })
+      .addEdge('failed', 'exit')
       .addEdge('exit', '__end__')
-      .compile()
+      .compile({ checkpointer })
+
+   //?? Threads
+   let threadId = argValue('--thread') ?? newThreadId()
+   //* signal: Ctrl+C also stops the graph between nodes
+   const runConfig = (signal) => ({
+      configurable: { thread_id: threadId },
+      recursionLimit: RECURSION_LIMIT,
+      ...(signal && { signal }),
+   })
 
-   //?? CAlling Graph
-   const rl = readline.createInterface({ input, output })
-   const prompt = await rl.question(
-      chalk.bold.bgYellowBright.black(
-         '>> Enter Prompt to Generate/Edit OR Type "exit" to exit the loop : '
+   //* pendingNodes() – Nodes a stopped run would continue with, [] when the last run finished
+   async function pendingNodes() {
+      const snapshot = await graph.getState(runConfig())
+      return snapshot.next ?? []
+   }
+
+   //* pendingApproval() – Value of the approval interrupt the thread waits on, if any
+   async function pendingApproval() {
+      const snapshot = await graph.getState(runConfig())
+      return snapshot.tasks?.flatMap((task) => task.interrupts ?? [])[0]?.value
+   }
+
+   async function restoreThreadDir() {
+      const { values } = await graph.getState(runConfig())
+      if (values?.cwdS) setCurrentDir(values.cwdS)
+   }
+
+   async function announceThread() {
+      const { values } = await graph.getState(runConfig())
+      const turns = (values?.messageS ?? []).filter(
+         (m) => m.role === 'user' && !m.content.startsWith('{')
+      ).length
+      console.log(
+         chalk.gray(`🧵 Thread ${threadId}`),
+         chalk.gray(turns ? `(${turns} earlier prompt(s))` : '(new)')
       )
-   )
+      const next = await pendingNodes()
+      if (next.length) {
+         console.log(
+            chalk.yellow(
+               `⏸️  The last run stopped before "${next.join(', ')}". Type "resume" to continue it.`
+            )
+         )
+      }
+   }
 
-   rl.close()
-   const inputs = {
-      messageS: message,
-      promptS: prompt,
+   //* runTurn() – inputs null continues the thread from its last completed node
+   async function runTurn(inputs, label) {
+      const dirBefore = getCurrentDir()
+      dependencies = createDependencyTracker(dirBefore)
+      verifier = createVerifier()
+      //* the status the turn ends with, whichever way the run stops – the RUN_STATUS
+      //* values of the REPL and the CLI, plus "interrupted" for a kept checkpoint
+      let status = RUN_STATUS.success
+      beginPrompt(label)
+      startTrace(label, { entry: 'graph', thread: threadId })
+      const signal = beginCancellable()
+      try {
+         let res = await graph.invoke(inputs, runConfig(signal))
+         let request
+         while ((request = await pendingApproval())) {
+            const answer = await askApproval(request)
+            if (isCancelled()) throw new CancelledError()
+            res = await graph.invoke(
+               new Command({ resume: answer }),
+               runConfig(signal)
+            )
+         }
+         status = runStatus(res.failuresS ?? [], res.verifyS)
+      } catch (error) {
+         if (isCancellation(error)) {
+            status = RUN_STATUS.cancelled
+            console.log(
+               chalk.yellow(
+                  '⏹  Step cancelled, back to the prompt. Type "resume" to continue the run.'
+               )
+            )
+         } else if (!(error instanceof ResponseValidationError)) {
+            status = 'interrupted'
+            console.log('❌ ERROR in graph run:', error)
+            console.log(
+               chalk.yellow('⏸️  Checkpoint kept, type "resume" to retry.')
+            )
+         } else {
+            console.error(
+               chalk.red('❌ Model kept returning invalid responses:'),
+               error.message
+            )
+            status = RUN_STATUS.modelFailure
+         }
+      } finally {
+         endCancellable()
+      }
+
+      //* every exit closes the turn's plan, like lib/agent.mjs: an error discards it
+      if (isDryRun()) {
+         if (status === 'interrupted') {
+            resetPlan()
+            setCurrentDir(dirBefore)
+         } else if (!(await reviewPlan(applyPlan))) {
+            setCurrentDir(dirBefore)
+         }
+      }
+      if (status === RUN_STATUS.cancelled || status === 'interrupted') {
+         endPrompt(status)
+      } else if (status !== RUN_STATUS.success) await finishFailedRun()
+      else endPrompt()
+      await endTrace(status)
+   }
+
+   //* handleThreadCommand() – true when the input was a thread command, only the exact
+   //* forms count: "new header component" or "resume the upload" go to the agent
+   async function handleThreadCommand(prompt) {
+      const match = prompt
+         .trim()
+         .match(/^(threads|thread|new|resume)$|^thread\s+(\S+)$/)
+      if (!match) return false
+      const command = match[1] ?? 'thread'
+      const arg = match[2]
+      if (command === 'threads') {
+         listThreads(checkpointer).forEach((id) =>
+            console.log(
+               id === threadId ? chalk.bold.green('*') : ' ',
+               chalk.cyan(id)
+            )
+         )
+         return true
+      }
+      if (command === 'thread') {
+         if (arg) {
+            threadId = arg
+            await restoreThreadDir()
+         }
+         await announceThread()
+         return true
+      }
+      if (command === 'new') {
+         threadId = newThreadId()
+         await announceThread()
+         return true
+      }
+      if (command === 'resume') {
+         const next = await pendingNodes()
+         if (!next.length) {
+            console.log(chalk.gray('Nothing to resume, the last run finished.'))
+            return true
+         }
+         console.log(chalk.gray(`▶️  Resuming at "${next.join(', ')}"`))
+         await restoreThreadDir()
+         await runTurn(null, `resume ${threadId}`)
+      }
+      return true
+   }
+
+   //?? CAlling Graph
+   installInterruptHandler()
+   await restoreThreadDir()
+   await announceThread()
+
+   while (true) {
+      try {
+         const rl = readline.createInterface({ input, output })
+         rl.on('SIGINT', requestInterrupt)
+         const prompt = await rl.question(
+            chalk.bold.bgYellowBright.black(
+               '>> Enter Prompt to Generate/Edit OR Type "exit" to exit the loop : '
+            )
+         )
+         rl.close()
+
+         if (prompt === 'exit') {
+            console.log(
+               chalk.bold.bgMagentaBright.black(
+                  '\nThanks for using Agent Buddy! See You Later '
+               ) + '✌️'
+            )
+            console.log('\n')
+            //* dev servers started by the agent would keep the process alive
+            stopAll()
+            break
+         }
+         if (handleJournalCommand(prompt)) continue
+         if (handleTraceCommand(prompt)) continue
+         if (await handleThreadCommand(prompt)) continue
+
+         await runTurn({ promptS: prompt }, prompt)
+      } catch (error) {
+         console.log('❌ ERROR in outer loop:', error)
+      }
    }
-   const res = await graph.invoke(inputs)
-   console.log('RESULT FINAL AFTER GRAPH')
-   // console.log(res)
 }
 
-traceable(Main(message))
+Main()
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util'
+import fs from 'fs'
+import path from 'path'
+
+//? Non-interactive entry point – runs one prompt to completion and exits
+//* node cli.mjs --prompt "Add a Navbar component" --yes --json
+//* echo "Install react-router" | node cli.mjs --cwd ./my-app
+
+//* Exit codes, stable for scripts / Makefiles / git hooks
+const EXIT_CODES = {
+   success: 0,
+   error: 1,
+   model_failure: 2,
+   task_failure: 3,
+   policy_denied: 4,
+   verify_failure: 5,
+   cancelled: 130,
+}
+
+const USAGE = `
+Usage: node cli.mjs [options]
+
+  -p, --prompt <text>      Prompt to run
+  -f, --prompt-file <file> Read the prompt from a file
+      --cwd <dir>          Project directory (workspace root)
+  -m, --model <name>       Model override for the configured provider
+      --max-steps <n>      Abort after n model steps
+  -y, --yes                Answer yes to every confirmation (policy, rollback, plan)
+      --json               Print a machine-readable result on stdout
+      --dry-run            Record a plan instead of executing it
+      --no-verify          Skip the typecheck / lint / build / test checks
+      --resume <id>        Continue a saved session (id or unique prefix)
+  -h, --help               Show this help
+
+With no --prompt / --prompt-file the prompt is read from stdin.
+
+Exit codes: 0 success, 1 usage/internal error, 2 model failure,
+            3 task failure, 4 policy denial, 5 checks still failing,
+            130 cancelled (Ctrl+C)
+`
+
+const OPTIONS = {
+   prompt: { type: 'string', short: 'p' },
+   'prompt-file': { type: 'string', short: 'f' },
+   cwd: { type: 'string' },
+   model: { type: 'string', short: 'm' },
+   'max-steps': { type: 'string' },
+   yes: { type: 'boolean', short: 'y', default: false },
+   json: { type: 'boolean', default: false },
+   'dry-run': { type: 'boolean', default: false },
+   'no-verify': { type: 'boolean', default: false },
+   resume: { type: 'string' },
+   help: { type: 'boolean', short: 'h', default: false },
+}
+
+function fail(message) {
+   process.stderr.write(`${message}\n${USAGE}`)
+   process.exit(EXIT_CODES.error)
+}
+
+async function readStdin() {
+   const chunks = []
+   for await (const chunk of process.stdin) chunks.push(chunk)
+   return Buffer.concat(chunks).toString('utf8')
+}
+
+async function resolvePrompt(values) {
+   if (values.prompt) return { prompt: values.prompt, fromStdin: false }
+   if (values['prompt-file']) {
+      return {
+         prompt: fs.readFileSync(path.resolve(values['prompt-file']), 'utf8'),
+         fromStdin: false,
+      }
+   }
+   if (!process.stdin.isTTY) {
+      return { prompt: await readStdin(), fromStdin: true }
+   }
+   return { prompt: '', fromStdin: false }
+}
+
+async function main() {
+   let values
+   try {
+      ;({ values } = parseArgs({ options: OPTIONS, allowPositionals: false }))
+   } catch (error) {
+      fail(error.message)
+   }
+   if (values.help) {
+      process.stdout.write(USAGE)
+      return EXIT_CODES.success
+   }
+
+   //* prompt files are relative to where the command was started, not to --cwd
+   const { prompt, fromStdin } = await resolvePrompt(values)
+   if (!prompt.trim()) fail('No prompt given')
+
+   const maxSteps =
+      values['max-steps'] === undefined ? Infinity : Number(values['max-steps'])
+   if (
+      values['max-steps'] !== undefined &&
+      !(Number.isInteger(maxSteps) && maxSteps >= 1)
+   ) {
+      fail('--max-steps must be a whole number of at least 1')
+   }
+
+   //* settings the lib modules read while they load, so set them before importing
+   if (values.cwd) {
+      const dir = path.resolve(values.cwd)
+      if (!fs.existsSync(dir)) fail(`--cwd ${dir} does not exist`)
+      process.chdir(dir)
+   }
+   if (values.model) process.env.AGENT_MODEL = values.model
+   if (values['no-verify']) process.env.AGENT_VERIFY = 'off'
+
+   //* keep stdout clean for the JSON result, all logging goes to stderr
+   const writeResult = process.stdout.write.bind(process.stdout)
+   if (values.json) console.log = console.error
+
+   const { config } = await import('./lib/config.mjs')
+   const { createProvider } = await import('./lib/providers.mjs')
+   const { createContextManager } = await import('./lib/context.mjs')
+   const { enableDryRun } = await import('./lib/dryRun.mjs')
+   const { system_prompt, systemPromptFor } =
+      await import('./lib/systemPrompt.mjs')
+   const { createAgentReader } = await import('./lib/toolCalls.mjs')
+   const { runPrompt } = await import('./lib/agent.mjs')
+   const { getCurrentDir } = await import('./lib/tasks.mjs')
+   const { setPromptMode } = await import('./lib/ask.mjs')
+   const { installInterruptHandler } = await import('./lib/cancel.mjs')
+   const { createSession, loadSession, restoreSession, recordTurn } =
+      await import('./lib/sessions.mjs')
+
+   setPromptMode({
+      assumeYes: values.yes,
+      interactive: !fromStdin && Boolean(process.stdin.isTTY),
+   })
+   if (values['dry-run']) enableDryRun()
+   installInterruptHandler()
+
+   const message = [{ role: 'system', content: system_prompt }]
+   let session
+   try {
+      session = values.resume
+         ? restoreSession(loadSession(values.resume), message)
+         : createSession(message)
+   } catch (error) {
+      fail(error.message)
+   }
+   const messageStart = message.length
+
+   let provider = null
+   let run
+   try {
+      provider = createProvider(config)
+      const context = createContextManager(provider)
+      const reader = createAgentReader(provider, context)
+      message[0] = { role: 'system', content: systemPromptFor(reader.protocol) }
+      run = await runPrompt(prompt.trim(), {
+         message,
+         reader,
+         maxSteps,
+         trace: { entry: 'cli', session: session.id },
+      })
+   } catch (error) {
+      //* provider / network errors surface here
+      run = {
+         status: 'model_failure',
+         output: null,
+         actions: [],
+         error: error.message,
+      }
+   }
+
+   recordTurn(session, prompt.trim(), run, messageStart)
+
+   const exitCode = EXIT_CODES[run.status] ?? EXIT_CODES.error
+   const result = {
+      status: run.status,
+      session: session.id,
+      trace: run.trace ?? null,
+      exitCode,
+      summary: run.output?.content ?? null,
+      packagesInstalled: run.output?.PackagesInstalled ?? [],
+      packages: run.packages ?? null,
+      verification: run.verification ?? null,
+      output: run.output,
+      actions: run.actions,
+      error: run.error ?? null,
+      cwd: getCurrentDir(),
+      provider: provider?.name ?? config.provider,
+      model: provider?.model ?? config.model,
+   }
+
+   if (values.json) writeResult(JSON.stringify(result, null, 2) + '\n')
+   else if (run.status !== 'success') {
+      console.error(`✖ ${run.status}: ${run.error ?? 'see output above'}`)
+   }
+   return exitCode
+}
+
+main().then(
+   (code) => process.exit(code),
+   (error) => {
+      console.error('❌ Unexpected error:', error)
+      process.exit(EXIT_CODES.error)
+   }
+)
@@ -0,0 +1,271 @@
+import chalk from 'chalk'
+import {
+   executeTask,
+   applyPlan,
+   getCurrentDir,
+   setCurrentDir,
+} from './tasks.mjs'
+import { isDryRun, resetPlan, reviewPlan } from './dryRun.mjs'
+import { beginPrompt, endPrompt, finishFailedRun } from './journal.mjs'
+import { observationMessage } from './observe.mjs'
+import {
+   recordResult,
+   attemptsLeft,
+   shouldGiveUp,
+   failureSummary,
+   printFailureSummary,
+} from './failures.mjs'
+import { ResponseValidationError } from './responses.mjs'
+import { startTrace, endTrace } from './tracing.mjs'
+import { refreshProject } from './project.mjs'
+import { createDependencyTracker, verifiedOutput } from './packages.mjs'
+import { createVerifier } from './verify.mjs'
+import { systemPromptFor } from './systemPrompt.mjs'
+import {
+   beginCancellable,
+   endCancellable,
+   isCancelled,
+   isCancellation,
+} from './cancel.mjs'
+
+//? Agent loop – runs one prompt to completion (shared by the REPL and the CLI)
+
+//* Final status of a run, the CLI maps these to process exit codes
+export const RUN_STATUS = {
+   success: 'success',
+   modelFailure: 'model_failure',
+   taskFailure: 'task_failure',
+   policyDenied: 'policy_denied',
+   verifyFailure: 'verify_failure',
+   cancelled: 'cancelled',
+}
+
+//* runStatus() – Status of a run that finished on its own, from the failure streak it
+//* ended with and the last checks. Shared with the graph agent (ReactAgent_LGLS.mjs).
+export function runStatus(failures, verification = null) {
+   const denied = (f) => f?.code === 'POLICY_DENIED'
+   if (shouldGiveUp(failures)) {
+      return failures.some(denied)
+         ? RUN_STATUS.policyDenied
+         : RUN_STATUS.taskFailure
+   }
+   //* finishing right after a refused command means the task could not be done
+   if (denied(failures.at(-1))) return RUN_STATUS.policyDenied
+   if (verification?.failed.length) return RUN_STATUS.verifyFailure
+   return RUN_STATUS.success
+}
+
+//* runPrompt() – { status, output, failures, actions, packages, verification, error, trace }
+//* reader decides the protocol: how steps and results are written to the history
+//* `trace` is extra metadata for the run's trace, e.g. { entry, session }
+export async function runPrompt(
+   prompt,
+   { message, reader, maxSteps = Infinity, trace = {} }
+) {
+   //* the last prompt's commands may have created or changed the project
+   refreshProject(getCurrentDir())
+   message[0] = { role: 'system', content: systemPromptFor(reader.protocol) }
+   message.push({ role: 'user', content: prompt })
+   beginPrompt(prompt)
+   beginCancellable()
+
+   const run = {
+      status: RUN_STATUS.success,
+      output: null,
+      failures: [],
+      actions: [],
+      trace: startTrace(prompt, trace),
+   }
+   const dirBefore = getCurrentDir()
+   const dependencies = createDependencyTracker(dirBefore)
+   const verifier = createVerifier()
+   let failures = []
+   let steps = 0
+   reader.clear()
+
+   let thrown = null
+   try {
+      while (true) {
+         if (++steps > maxSteps) {
+            console.error(chalk.red(`❌ Step limit of ${maxSteps} reached`))
+            run.status = RUN_STATUS.modelFailure
+            run.error = `Step limit of ${maxSteps} reached`
+            break
+         }
+
+         let parsed_result
+         try {
+            parsed_result = await reader.next(message)
+         } catch (error) {
+            if (isCancellation(error)) {
+               run.status = RUN_STATUS.cancelled
+               break
+            }
+            if (!(error instanceof ResponseValidationError)) throw error
+            console.error(
+               chalk.red('❌ Model kept returning invalid responses:'),
+               error.message
+            )
+            run.status = RUN_STATUS.modelFailure
+            run.error = error.message
+            break
+         }
+
+         if (parsed_result.step === 'analyze') {
+            // console.log('⏩ Analyze :', parsed_result)
+            message.push(...reader.stepMessages(parsed_result))
+         }
+
+         if (parsed_result.step === 'convert') {
+            // console.log('⏩ Convert :', parsed_result)
+            message.push(...reader.stepMessages(parsed_result))
+         }
+
+         if (parsed_result.step === 'observe') {
+            // console.log('👀 Observe :', parsed_result)
+            message.push(...reader.stepMessages(parsed_result))
+         }
+
+         if (parsed_result.step === 'output') {
+            message.push(...reader.stepMessages(parsed_result))
+            //* the project's own checks decide whether the run is done
+            const verification = await verifier.verify(getCurrentDir())
+            if (isCancelled()) {
+               run.status = RUN_STATUS.cancelled
+               break
+            }
+            if (verification.retry) {
+               message.push(verification.message)
+               continue
+            }
+
+            //* PackagesInstalled comes from package.json / the lockfile, not the model
+            run.packages = dependencies.diff()
+            run.output = verifiedOutput(parsed_result, run.packages)
+            if (verification.summary) {
+               run.verification = verification.summary
+               run.output.verification = verification.summary
+            }
+            console.log('✅ Output :\n', run.output)
+            console.log('\n')
+            run.status = runStatus(failures, run.verification)
+            if (run.status === RUN_STATUS.verifyFailure) {
+               run.error = `Checks still failing: ${run.verification.failed.join(', ')}`
+            }
+            break
+         }
+
+         if (parsed_result.step === 'action') {
+            // console.log('⚙️ Action: ', parsed_result)
+
+            const { fType, fInput, fContent } = parsed_result
+            message.push(...reader.stepMessages(parsed_result))
+
+            //* baseline before the action: an install may create the package.json
+            dependencies.track(getCurrentDir())
+            let result
+            if (fType && fInput !== undefined) {
+               result = await executeTask({
+                  type: fType,
+                  input: fInput,
+                  content: fContent || '',
+               })
+            } else {
+               console.warn('Missing fType or fInput in action step!')
+               result = {
+                  type: fType,
+                  input: fInput,
+                  ok: false,
+                  value: 'Missing fType or fInput in action step',
+               }
+            }
+            verifier.noteResult(result)
+            run.actions.push({
+               type: fType,
+               input: fInput,
+               ok: result.ok,
+               exitCode: result.exitCode ?? null,
+               code: result.error?.code ?? null,
+            })
+
+            failures = recordResult(failures, result)
+            if (!result.ok) {
+               //* queued steps were planned without knowing about this failure
+               reader.clear()
+               result.attemptsLeft = attemptsLeft(failures)
+            }
+            message.push(
+               reader.resultMessage(parsed_result, observationMessage(result))
+            )
+
+            if (isCancelled()) {
+               run.status = RUN_STATUS.cancelled
+               break
+            }
+
+            if (shouldGiveUp(failures)) {
+               printFailureSummary(failures)
+               run.status = runStatus(failures)
+               run.failures = failures
+               run.error = failureSummary(failures)
+               message.push({
+                  role: 'user',
+                  content: JSON.stringify({
+                     step: 'observe',
+                     ok: false,
+                     content: `Run aborted. ${failureSummary(failures)}`,
+                  }),
+               })
+               break
+            }
+         }
+      }
+   } catch (error) {
+      thrown = error
+      throw error
+   } finally {
+      //* every exit, a provider error included, closes the journal entry and the plan
+      await closeRun(run, { message, dirBefore, error: thrown })
+   }
+
+   return run
+}
+
+//* closeRun() – Ends the cancellable step, the dry-run plan, the journal entry and the trace.
+//* A thrown error discards the plan and counts as a failed run for the journal.
+async function closeRun(run, { message, dirBefore, error }) {
+   endCancellable()
+   if (error) {
+      if (isDryRun()) {
+         resetPlan()
+         setCurrentDir(dirBefore)
+      }
+      await finishFailedRun()
+      await endTrace('error', { error: error.message })
+      return
+   }
+   if (run.status === RUN_STATUS.cancelled) {
+      console.log(chalk.yellow('⏹  Step cancelled, back to the prompt.'))
+      run.error = 'Cancelled by the user'
+      //* next turn's model call should know why this one stopped halfway
+      message.push({
+         role: 'user',
+         content: JSON.stringify({
+            step: 'observe',
+            ok: false,
+            cancelled: true,
+            content:
+               'The user cancelled this request (Ctrl+C) before it finished. Wait for their next prompt.',
+         }),
+      })
+   }
+
+   if (isDryRun() && !(await reviewPlan(applyPlan))) {
+      setCurrentDir(dirBefore)
+   }
+   //* a cancelled run keeps its changes, "undo" is there if the user wants them gone
+   if (run.status === RUN_STATUS.cancelled) endPrompt('cancelled')
+   else if (run.status !== RUN_STATUS.success) await finishFailedRun()
+   else endPrompt()
+   await endTrace(run.status, { error: run.error ?? null })
+}
@@ -0,0 +1,201 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'node:child_process'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { ask, isAssumeYes } from './ask.mjs'
+import { getTool } from './tools.mjs'
+import { packageList, packageOptions } from './packages.mjs'
+import { scaffoldParams } from './tasks.mjs'
+
+//? Human approval – side-effecting steps wait for a decision before they run
+
+//* needsApproval() – Actions whose tool declares sideEffects
+export function needsApproval(step) {
+   return step?.step === 'action' && Boolean(getTool(step.fType)?.sideEffects)
+}
+
+//* approvalRecord() – What ends up in graph state for every decision
+export function approvalRecord(step, answer) {
+   return {
+      type: step.fType,
+      input: step.fInput,
+      decision: answer.decision,
+      feedback: answer.feedback ?? null,
+      edited: answer.decision === 'edit',
+      at: new Date().toISOString(),
+   }
+}
+
+//* rejectionMessage() – Observation telling the model the user turned the step down
+export function rejectionMessage(step, feedback) {
+   return {
+      role: 'user',
+      content: JSON.stringify({
+         step: 'observe',
+         fType: step.fType,
+         fInput: step.fInput,
+         ok: false,
+         rejected: true,
+         content: feedback
+            ? `The user rejected this action: ${feedback}`
+            : 'The user rejected this action. Choose a different approach.',
+      }),
+   }
+}
+
+//* editInEditor() – Round-trip text through $EDITOR, or a file the user edits by hand
+async function editInEditor(text, name) {
+   const file = path.join(
+      getWorkspaceRoot(),
+      '.agent',
+      'approval',
+      path.basename(name || 'content.txt')
+   )
+   fs.mkdirSync(path.dirname(file), { recursive: true })
+   fs.writeFileSync(file, text)
+
+   const editor = process.env.VISUAL || process.env.EDITOR
+   if (editor) {
+      spawnSync(editor, [file], { stdio: 'inherit', shell: true })
+   } else {
+      await ask(
+         `Edit ${chalk.blue(file)} and press Enter when done (set $EDITOR to open it directly) `
+      )
+   }
+   const edited = fs.readFileSync(file, 'utf8')
+   fs.rmSync(file, { force: true })
+   return edited
+}
+
+async function editStep(request) {
+   if (request.type === 'shell' || request.type === 'start') {
+      const command = await ask(
+         `New command (empty keeps "${request.input}") : `
+      )
+      return { decision: 'edit', input: command.trim() || request.input }
+   }
+   if (request.type === 'clean') {
+      const paths = await ask(
+         `Paths to remove, comma separated (empty keeps ${[request.input].flat().join(', ')}) : `
+      )
+      return {
+         decision: 'edit',
+         input: paths.trim()
+            ? paths.split(',').map((p) => p.trim())
+            : request.input,
+      }
+   }
+   if (request.type === 'install' || request.type === 'uninstall') {
+      const packages = packageList(request.input).join(' ')
+      const answer = await ask(
+         `Packages, space separated (empty keeps "${packages}") : `
+      )
+      const edit = {
+         decision: 'edit',
+         input: answer.trim()
+            ? packageList(answer.replace(/,/g, ' '))
+            : request.input,
+      }
+      if (request.type === 'install') {
+         const options = packageOptions(request.content)
+         const dev = (
+            await ask(
+               `Dev dependencies? [y/n] (empty keeps ${options.dev ? 'y' : 'n'}) : `
+            )
+         )
+            .trim()
+            .toLowerCase()
+         if (dev) edit.content = { ...options, dev: dev.startsWith('y') }
+      }
+      return edit
+   }
+   if (request.type === 'stop') {
+      const name = await ask(
+         `Process to stop (empty keeps "${request.input}") : `
+      )
+      return { decision: 'edit', input: name.trim() || request.input }
+   }
+   if (request.type === 'scaffold') {
+      const template = await ask(`Template (empty keeps "${request.input}") : `)
+      const params = scaffoldParams(request.content)
+      const edited = await editInEditor(
+         JSON.stringify(params, null, 2),
+         `${request.input}.params.json`
+      )
+      let content = params
+      try {
+         content = JSON.parse(edited)
+      } catch {
+         console.log(
+            chalk.red('⚠️ Not valid JSON, keeping the original params')
+         )
+      }
+      return {
+         decision: 'edit',
+         input: template.trim() || request.input,
+         content,
+      }
+   }
+
+   //* write / edit – structured edits are edited as JSON and parsed back
+   const structured = request.content && typeof request.content === 'object'
+   const text = structured
+      ? JSON.stringify(request.content, null, 2)
+      : String(request.content ?? '')
+   const edited = await editInEditor(
+      text,
+      structured ? `${request.input}.edits.json` : request.input
+   )
+   let content = edited
+   if (structured) {
+      try {
+         content = JSON.parse(edited)
+      } catch (error) {
+         console.log(chalk.red('⚠️ Not valid JSON, keeping the original edits'))
+         content = request.content
+      }
+   }
+   return { decision: 'edit', content }
+}
+
+//* askApproval() – request is the interrupt value { type, input, content, preview }.
+//* Resolves with { decision: approve | reject | edit | auto, feedback?, input?, content? }
+export async function askApproval(request) {
+   console.log('\n' + chalk.bold.bgBlue.white(` ✋ Approve ${request.type}? `))
+   console.log(request.preview)
+
+   if (isAssumeYes()) {
+      console.log(chalk.gray('Approved (--yes)'))
+      return { decision: 'approve' }
+   }
+
+   while (true) {
+      const answer = (
+         await ask(
+            '[a]pprove  [r]eject  [e]dit  approve [A]ll for this run : ',
+            'r'
+         )
+      ).trim()
+
+      if (answer === 'A') return { decision: 'auto' }
+      switch (answer.toLowerCase()) {
+         case 'a':
+         case 'y':
+         case 'yes':
+            return { decision: 'approve' }
+         case 'r':
+         case 'n':
+         case 'no': {
+            const feedback = await ask(
+               'Why? (sent to the model, empty to skip) : '
+            )
+            return { decision: 'reject', feedback: feedback.trim() || null }
+         }
+         case 'e':
+            return editStep(request)
+         default:
+            console.log(chalk.gray('Please answer a, r, e or A.'))
+      }
+   }
+}
@@ -0,0 +1,57 @@
+import readline from 'node:readline/promises'
+import { stdin as input, stdout as output } from 'node:process'
+import chalk from 'chalk'
+import { currentSignal, isCancellation, requestInterrupt } from './cancel.mjs'
+
+//? Yes/no confirmations – one place that knows about --yes and non-interactive runs
+
+const mode = {
+   assumeYes: false,
+   interactive: true,
+}
+
+//* setPromptMode() – { assumeYes, interactive }, set by the CLI before a run
+export function setPromptMode(settings) {
+   Object.assign(mode, settings)
+}
+
+export function isAssumeYes() {
+   return mode.assumeYes
+}
+
+//* readLine() – null when Ctrl+C cancelled the running step while it waited.
+//* In raw mode readline swallows Ctrl+C, so it is forwarded to the interrupt handler.
+async function readLine(question) {
+   const rl = readline.createInterface({ input, output })
+   rl.on('SIGINT', requestInterrupt)
+   try {
+      return await rl.question(chalk.bold(question), {
+         signal: currentSignal(),
+      })
+   } catch (error) {
+      if (isCancellation(error)) return null
+      throw error
+   } finally {
+      rl.close()
+   }
+}
+
+//* ask() – Free-text answer; --yes, non-interactive and cancelled runs get the fallback
+export async function ask(question, fallback = '') {
+   if (mode.assumeYes || !mode.interactive) return fallback
+   return (await readLine(question)) ?? fallback
+}
+
+//* confirm() – true on y/yes; --yes answers yes, non-interactive runs answer no
+export async function confirm(question) {
+   if (mode.assumeYes) {
+      console.log(chalk.gray(`${question} yes (--yes)`))
+      return true
+   }
+   if (!mode.interactive) {
+      console.log(chalk.gray(`${question} no (non-interactive)`))
+      return false
+   }
+   const answer = await readLine(question)
+   return /^y(es)?$/i.test(answer?.trim() ?? '')
+}
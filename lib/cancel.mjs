@@ -0,0 +1,74 @@
+import chalk from 'chalk'
+
+//? Ctrl+C handling – the first press cancels the running prompt, the second exits.
+//? Long operations (model calls, shell commands, process startup) watch currentSignal().
+
+export class CancelledError extends Error {
+   constructor(message = 'Cancelled by user (Ctrl+C)') {
+      super(message)
+      this.name = 'CancelledError'
+      this.code = 'CANCELLED'
+   }
+
+   toJSON() {
+      return { code: this.code, message: this.message }
+   }
+}
+
+let controller = null
+let installed = false
+
+//* beginCancellable() – Start of a prompt's run, Ctrl+C now aborts instead of exiting
+export function beginCancellable() {
+   controller = new AbortController()
+   return controller.signal
+}
+
+export function endCancellable() {
+   controller = null
+}
+
+export function currentSignal() {
+   return controller?.signal
+}
+
+export function isCancelled() {
+   return Boolean(controller?.signal.aborted)
+}
+
+//* isCancellation() – Errors thrown because the signal fired (ours, fetch or the OpenAI SDK)
+export function isCancellation(error) {
+   return (
+      error instanceof CancelledError ||
+      error?.name === 'AbortError' ||
+      error?.constructor?.name === 'APIUserAbortError' ||
+      isCancelled()
+   )
+}
+
+export function exitGracefully(code = 130) {
+   console.log(chalk.bold.magenta('\n👋 Interrupted, exiting.'))
+   //* 'exit' listeners save the session and stop background processes
+   process.exit(code)
+}
+
+//* requestInterrupt() – What one Ctrl+C does right now
+export function requestInterrupt() {
+   if (controller && !controller.signal.aborted) {
+      controller.abort(new CancelledError())
+      console.log(
+         chalk.yellow(
+            '\n⏹  Cancelling the current step... (press Ctrl+C again to exit)'
+         )
+      )
+      return
+   }
+   exitGracefully()
+}
+
+//* installInterruptHandler() – Replace Node's default "die on SIGINT"
+export function installInterruptHandler() {
+   if (installed) return
+   installed = true
+   process.on('SIGINT', requestInterrupt)
+}
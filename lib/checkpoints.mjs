@@ -0,0 +1,137 @@
+import fs from 'fs'
+import path from 'path'
+import { MemorySaver } from '@langchain/langgraph'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+
+//? Graph checkpoints – LangGraph savers, in memory or one JSON file per thread on disk
+
+function checkpointDir() {
+   return path.resolve(
+      getWorkspaceRoot(),
+      config.checkpoint?.dir ?? '.agent/checkpoints'
+   )
+}
+
+function threadFile(threadId) {
+   return path.join(checkpointDir(), `${encodeURIComponent(threadId)}.json`)
+}
+
+//* serialized checkpoints are UTF-8 JSON bytes, the loader accepts them back as strings
+function toText(value) {
+   return value instanceof Uint8Array ? new TextDecoder().decode(value) : value
+}
+
+function textFields(entry) {
+   return entry.map(toText)
+}
+
+//* FileSaver – MemorySaver that mirrors each thread to .agent/checkpoints/<thread>.json
+//* after every checkpoint / pending write, so a killed run can pick up where it stopped
+export class FileSaver extends MemorySaver {
+   constructor(serde) {
+      super(serde)
+      this.loaded = new Set()
+   }
+
+   load(threadId) {
+      if (this.loaded.has(threadId)) return
+      this.loaded.add(threadId)
+      if (!fs.existsSync(threadFile(threadId))) return
+      const { storage, writes } = JSON.parse(
+         fs.readFileSync(threadFile(threadId), 'utf8')
+      )
+      this.storage[threadId] = storage
+      Object.assign(this.writes, writes)
+   }
+
+   //* prune() – Keep the newest checkpoint.keep checkpoints per namespace; resuming
+   //* only needs the latest one, older ones are history for getStateHistory()
+   prune(threadId) {
+      const keep = config.checkpoint?.keep ?? 20
+      for (const [ns, checkpoints] of Object.entries(
+         this.storage[threadId] ?? {}
+      )) {
+         const ids = Object.keys(checkpoints).sort()
+         ids.slice(0, Math.max(0, ids.length - keep)).forEach((id) => {
+            delete checkpoints[id]
+            delete this.writes[JSON.stringify([threadId, ns, id])]
+         })
+      }
+   }
+
+   persist(threadId) {
+      this.prune(threadId)
+      const storage = {}
+      for (const [ns, checkpoints] of Object.entries(
+         this.storage[threadId] ?? {}
+      )) {
+         storage[ns] = {}
+         for (const [id, entry] of Object.entries(checkpoints)) {
+            storage[ns][id] = textFields(entry)
+         }
+      }
+      const writes = {}
+      for (const [key, inner] of Object.entries(this.writes)) {
+         if (JSON.parse(key)[0] !== threadId) continue
+         writes[key] = {}
+         for (const [innerKey, entry] of Object.entries(inner)) {
+            writes[key][innerKey] = textFields(entry)
+         }
+      }
+      fs.mkdirSync(checkpointDir(), { recursive: true })
+      fs.writeFileSync(
+         threadFile(threadId),
+         JSON.stringify({ storage, writes })
+      )
+   }
+
+   async getTuple(runConfig) {
+      this.load(runConfig.configurable?.thread_id)
+      return super.getTuple(runConfig)
+   }
+
+   async *list(runConfig, options) {
+      const threadId = runConfig.configurable?.thread_id
+      if (threadId) this.load(threadId)
+      else listThreads(this).forEach((id) => this.load(id))
+      yield* super.list(runConfig, options)
+   }
+
+   async put(runConfig, checkpoint, metadata) {
+      const threadId = runConfig.configurable?.thread_id
+      this.load(threadId)
+      const saved = await super.put(runConfig, checkpoint, metadata)
+      this.persist(threadId)
+      return saved
+   }
+
+   async putWrites(runConfig, writes, taskId) {
+      const threadId = runConfig.configurable?.thread_id
+      this.load(threadId)
+      await super.putWrites(runConfig, writes, taskId)
+      this.persist(threadId)
+   }
+}
+
+//* createCheckpointer() – checkpoint.backend: "file" (default) | "memory"
+export function createCheckpointer(backend = config.checkpoint?.backend) {
+   if (backend === 'memory') return new MemorySaver()
+   if (backend && backend !== 'file') {
+      throw new Error(
+         `Unknown checkpoint backend "${backend}", use "file" or "memory"`
+      )
+   }
+   return new FileSaver()
+}
+
+//* listThreads() – Thread ids known to the saver, oldest first
+export function listThreads(checkpointer) {
+   const ids = new Set(Object.keys(checkpointer.storage))
+   if (checkpointer instanceof FileSaver && fs.existsSync(checkpointDir())) {
+      fs.readdirSync(checkpointDir())
+         .filter((f) => f.endsWith('.json'))
+         .forEach((f) => ids.add(decodeURIComponent(f.slice(0, -5))))
+   }
+   return [...ids].sort()
+}
@@ -0,0 +1,139 @@
+import dotenv from 'dotenv'
+import fs from 'fs'
+import path from 'path'
+
+//? Agent configuration – agent.config.json (or $AGENT_CONFIG) merged with env vars
+//* dotenv is loaded here because ESM evaluates imports before the entry file body
+
+dotenv.config()
+
+const DEFAULTS = {
+   provider: 'gemini',
+   model: null,
+   temperature: null,
+   maxRetries: 3,
+   maxParseAttempts: 3,
+   //* "json" steps in the reply text | "tools" native tool calls | "auto" tools when supported
+   protocol: 'json',
+   providers: {},
+   mock: { script: null, delayMs: 0 },
+   workspace: { root: null, allowRead: [] },
+   journal: { autoRollback: 'ask' },
+   //* token budget for what is sent to the model, see lib/context.mjs
+   context: {
+      maxTokens: 32000,
+      keepTurns: 2,
+      fileBodyChars: 800,
+      summaryTokens: 800,
+      charsPerToken: 4,
+   },
+   //* shell runner, see lib/shell.mjs – timeouts: [{ pattern, ms }], answers: [{ pattern, answer }]
+   shell: {
+      timeoutMs: 600000,
+      bufferChars: 20000,
+      promptIdleMs: 3000,
+      live: true,
+      timeouts: [],
+      answers: [],
+   },
+   //* background processes (start / stop / logs / ps), see lib/processes.mjs
+   processes: { readyTimeoutMs: 60000, logChars: 50000, readyPatterns: [] },
+   //* LangGraph checkpoints for ReactAgent_LGLS.mjs, backend "file" | "memory"
+   checkpoint: { backend: 'file', dir: '.agent/checkpoints', keep: 20 },
+   //* project profile in the system prompt, see lib/project.mjs
+   project: { scan: true, treeDepth: 2, treeEntries: 60, dependencies: 40 },
+   //* checks run before an output step is accepted, see lib/verify.mjs
+   //* checks: which of typecheck / lint / build / test, scripts: { check: "command" } overrides
+   verify: {
+      enabled: true,
+      checks: ['typecheck', 'lint', 'build', 'test'],
+      maxCycles: 2,
+      timeoutMs: 300000,
+      scripts: {},
+   },
+   //* failed command output -> diagnostics, every .mjs file in rulesDir adds rule packs,
+   //* see lib/diagnostics.mjs
+   diagnostics: { rulesDir: '.agent/diagnostics', max: 30 },
+   //* project templates for the scaffold task (one directory each), see lib/scaffold.mjs
+   scaffold: { templatesDir: '.agent/templates' },
+   //* tool plugins, every .mjs file in pluginDir registers tools, see lib/tools.mjs
+   tools: { pluginDir: '.agent/tools' },
+   //* run traces (JSONL per prompt), see lib/tracing.mjs – exporters: ["langsmith", "./file.mjs"]
+   //* fullMessages: every model event carries the whole history, not only the new messages
+   tracing: {
+      enabled: true,
+      dir: '.agent/traces',
+      keep: 100,
+      contentChars: 20000,
+      fullMessages: false,
+      exporters: [],
+   },
+   policy: {
+      default: 'ask',
+      autoApprove: false,
+      builtinRules: true,
+      rules: [],
+   },
+}
+
+//* env var -> config key ("section.key" for nested ones), coerced with the given parser
+const ENV_OVERRIDES = {
+   AGENT_PROVIDER: ['provider', String],
+   AGENT_MODEL: ['model', String],
+   AGENT_TEMPERATURE: ['temperature', Number],
+   AGENT_MAX_RETRIES: ['maxRetries', Number],
+   AGENT_MAX_PARSE_ATTEMPTS: ['maxParseAttempts', Number],
+   AGENT_PROTOCOL: ['protocol', String],
+   AGENT_CONTEXT_TOKENS: ['context.maxTokens', Number],
+   AGENT_SHELL_TIMEOUT: ['shell.timeoutMs', Number],
+   AGENT_MOCK_DELAY: ['mock.delayMs', Number],
+   AGENT_VERIFY: ['verify.enabled', (v) => !/^(0|false|off|no)$/i.test(v)],
+   AGENT_VERIFY_CYCLES: ['verify.maxCycles', Number],
+}
+
+function isPlainObject(value) {
+   return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+//* deepMerge() – Config file sections override defaults key by key
+export function deepMerge(base, override) {
+   const merged = { ...base }
+   for (const [key, value] of Object.entries(override ?? {})) {
+      merged[key] =
+         isPlainObject(value) && isPlainObject(base[key])
+            ? deepMerge(base[key], value)
+            : value
+   }
+   return merged
+}
+
+export function configFilePath() {
+   return path.resolve(process.env.AGENT_CONFIG || 'agent.config.json')
+}
+
+export function loadConfig(file = configFilePath()) {
+   let fileConfig = {}
+   if (fs.existsSync(file)) {
+      try {
+         fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'))
+      } catch (error) {
+         throw new Error(`Invalid config file ${file}: ${error.message}`)
+      }
+   }
+
+   const config = deepMerge(DEFAULTS, fileConfig)
+   for (const [name, [key, parse]] of Object.entries(ENV_OVERRIDES)) {
+      if (process.env[name] !== undefined && process.env[name] !== '') {
+         const value = parse(process.env[name])
+         const [section, field] = key.split('.')
+         if (field) config[section] = { ...config[section], [field]: value }
+         else config[key] = value
+      }
+   }
+   if (process.env.AGENT_MOCK_SCRIPT) {
+      config.mock = { ...config.mock, script: process.env.AGENT_MOCK_SCRIPT }
+   }
+   return config
+}
+
+export const config = loadConfig()
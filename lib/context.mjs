@@ -0,0 +1,234 @@
+import chalk from 'chalk'
+import { config } from './config.mjs'
+import { truncate } from './observe.mjs'
+import { currentSignal, isCancellation } from './cancel.mjs'
+
+//? Context window – the model sees the system prompt, a running summary of old turns,
+//? older steps with file bodies stubbed out, and the most recent turns verbatim
+
+const SETTINGS = config.context
+
+//* countTokens() – Estimate, ~charsPerToken chars per token is close enough for budgeting
+export function countTokens(text) {
+   if (!text) return 0
+   return Math.ceil(String(text).length / SETTINGS.charsPerToken)
+}
+
+//* messageTokens() – Content, tool call arguments and the per-message overhead of the chat format
+export function messageTokens(message) {
+   const content =
+      typeof message.content === 'string'
+         ? message.content
+         : JSON.stringify(message.content ?? '')
+   const calls = message.tool_calls ? JSON.stringify(message.tool_calls) : ''
+   return countTokens(content) + countTokens(calls) + 4
+}
+
+export function contextTokens(messages) {
+   return messages.reduce((sum, m) => sum + messageTokens(m), 0)
+}
+
+function parseStep(message) {
+   if (typeof message.content !== 'string') return null
+   try {
+      const step = JSON.parse(message.content)
+      return step && typeof step === 'object' && step.step ? step : null
+   } catch {
+      return null
+   }
+}
+
+//* A user prompt starts a turn; observations are user messages too, but carry a step
+function isPrompt(message) {
+   return message.role === 'user' && !parseStep(message)
+}
+
+//* recentStart() – Index of the first message of the last `turns` turns
+function recentStart(messages, turns) {
+   let seen = 0
+   for (let i = messages.length - 1; i > 0; i--) {
+      if (isPrompt(messages[i]) && ++seen === turns) return i
+   }
+   return 1
+}
+
+function omitted(length, what) {
+   return `[${length} chars of ${what} omitted – use a "read" action to see the current file]`
+}
+
+//* stubToolCalls() – stubFileBodies() for the "content" argument of native tool calls
+function stubToolCalls(message, limit) {
+   let changed = false
+   const calls = message.tool_calls.map((call) => {
+      if (call.function.arguments.length <= limit) return call
+      try {
+         const args = JSON.parse(call.function.arguments)
+         const body =
+            typeof args.content === 'string'
+               ? args.content
+               : JSON.stringify(args.content ?? '')
+         if (body.length <= limit) return call
+         args.content = omitted(body.length, `content for ${args.input}`)
+         changed = true
+         return {
+            ...call,
+            function: { ...call.function, arguments: JSON.stringify(args) },
+         }
+      } catch {
+         return call
+      }
+   })
+   return changed ? { ...message, tool_calls: calls } : message
+}
+
+//* stubFileBodies() – Copy of an older message with large file contents replaced by a reference
+export function stubFileBodies(message, limit = SETTINGS.fileBodyChars) {
+   if (message.tool_calls?.length) return stubToolCalls(message, limit)
+   const step = parseStep(message)
+   if (!step) return message
+   let changed = false
+
+   if (step.step === 'action' && step.fContent !== undefined) {
+      const body =
+         typeof step.fContent === 'string'
+            ? step.fContent
+            : JSON.stringify(step.fContent)
+      if (body.length > limit) {
+         step.fContent = omitted(body.length, `content for ${step.fInput}`)
+         changed = true
+      }
+   }
+   if (step.step === 'observe') {
+      if (typeof step.result === 'string' && step.result.length > limit) {
+         step.result =
+            step.fType === 'read'
+               ? omitted(step.result.length, `${step.fInput}`)
+               : truncate(step.result, limit)
+         changed = true
+      }
+      for (const key of ['stdout', 'stderr']) {
+         if (typeof step[key] === 'string' && step[key].length > limit) {
+            step[key] = truncate(step[key], limit)
+            changed = true
+         }
+      }
+   }
+
+   return changed ? { ...message, content: JSON.stringify(step) } : message
+}
+
+function transcript(messages) {
+   return messages
+      .map(
+         (m) =>
+            `${m.role.toUpperCase()}: ${truncate(m.content ?? JSON.stringify(m.tool_calls ?? ''), 2000)}`
+      )
+      .join('\n\n')
+}
+
+const SUMMARY_PROMPT = `
+You compress the history of a session between a user and a React coding agent.
+Write a short plain-text summary that keeps everything needed to continue the work:
+- what the user asked for, in order, and whether each request was finished
+- files created, edited or removed and what they contain in one line each
+- packages installed, commands that failed and errors still unresolved
+- the current working directory and any decisions or conventions agreed on
+Leave out step-by-step narration. Stay under {limit} words.
+`
+
+//* createContextManager() – wrap(complete) fits every request into the budget before sending
+export function createContextManager(provider, settings = SETTINGS) {
+   //* summary covers messages[1 .. upTo); `anchor` detects a replaced history (resume/fork)
+   let summary = null
+   let upTo = 1
+   let anchor = null
+
+   async function summarize(messages) {
+      const previous = summary
+         ? [{ role: 'user', content: `Earlier summary:\n${summary}` }]
+         : []
+      const response = await provider.createCompletion(
+         {
+            messages: [
+               {
+                  role: 'system',
+                  content: SUMMARY_PROMPT.replace(
+                     '{limit}',
+                     String(Math.round(settings.summaryTokens * 0.75))
+                  ),
+               },
+               {
+                  role: 'user',
+                  content: transcript([...previous, ...messages]),
+               },
+            ],
+            max_tokens: settings.summaryTokens,
+         },
+         { signal: currentSignal() }
+      )
+      return response.choices[0].message.content?.trim() || summary
+   }
+
+   function build(messages) {
+      const start = Math.max(upTo, recentStart(messages, settings.keepTurns))
+      const view = [messages[0]]
+      if (summary) {
+         view.push({
+            role: 'user',
+            content: `[Summary of the earlier conversation]\n${summary}`,
+         })
+      }
+      messages
+         .slice(upTo, start)
+         .forEach((m) => view.push(stubFileBodies(m, settings.fileBodyChars)))
+      view.push(...messages.slice(start))
+      return { view, start }
+   }
+
+   //* fit() – Message list to send; `messages` itself is never modified
+   async function fit(messages) {
+      //* compared by content, graph checkpoints hand back copies of the same messages
+      if (anchor && messages[upTo - 1]?.content !== anchor.content) {
+         summary = null
+         upTo = 1
+         anchor = null
+      }
+
+      let { view, start } = build(messages)
+      const tokens = contextTokens(view)
+      if (tokens <= settings.maxTokens || start <= upTo) return view
+
+      console.log(
+         chalk.gray(
+            `🧠 Context ~${tokens} tokens is over the ${settings.maxTokens} budget, summarizing ${start - upTo} older message(s)...`
+         )
+      )
+      try {
+         summary = await summarize(
+            messages
+               .slice(upTo, start)
+               .map((m) => stubFileBodies(m, settings.fileBodyChars))
+         )
+         upTo = start
+         anchor = messages[upTo - 1]
+      } catch (error) {
+         if (isCancellation(error)) throw error
+         console.warn(
+            chalk.yellow('⚠️ Could not summarize old turns:'),
+            chalk.gray(error.message)
+         )
+         return view
+      }
+
+      ;({ view } = build(messages))
+      console.log(chalk.gray(`🧠 Context now ~${contextTokens(view)} tokens`))
+      return view
+   }
+
+   //* wrap() – complete(messages) that always receives the fitted view
+   function wrap(complete) {
+      return async (messages) => complete(await fit(messages))
+   }
+
+   return { fit, wrap }
+}
@@ -0,0 +1,678 @@
+//? Built-in diagnostics rule packs – see lib/diagnostics.mjs for the pack / rule shape.
+//? Packs run in this order and the first diagnostic for a file:line wins, so the
+//? specific tools (tsc, eslint, babel) come before the bundlers that wrap their output.
+
+//* moduleFix() – What to do about an import that does not resolve: a package is
+//* installed, a path or alias is checked
+export function moduleFix(spec) {
+   if (/^\.{1,2}(\/|$)|^\//.test(spec)) {
+      return `Check the path "${spec}": the file must exist relative to the importing file, with the same case and extension.`
+   }
+   if (/^[@~#]\//.test(spec)) {
+      return `"${spec}" uses a path alias: check the alias in tsconfig.json / vite.config or use a relative path.`
+   }
+   const name = packageName(spec)
+   return `Install "${name}" with the install task, or fix the import if ${name} is a typo.`
+}
+
+//* packageName() – "lodash/merge" -> "lodash", "@scope/pkg/sub" -> "@scope/pkg"
+export function packageName(spec) {
+   const parts = spec.replace(/^node:/, '').split('/')
+   return spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0]
+}
+
+//* typesPackage() – DefinitelyTyped name: "@scope/pkg" -> "@types/scope__pkg"
+function typesPackage(spec) {
+   const name = packageName(spec)
+   return `@types/${name.startsWith('@') ? name.slice(1).replace('/', '__') : name}`
+}
+
+//? TypeScript
+
+//* fixes by TSxxxx code, message is the compiler text
+const TS_FIXES = {
+   TS2307: (message) => {
+      const spec = message.match(/module '([^']+)'/)?.[1]
+      return spec ? moduleFix(spec) : null
+   },
+   TS7016: (message) => {
+      const spec = message.match(/module '([^']+)'/)?.[1]
+      return spec
+         ? `Install ${typesPackage(spec)} as a dev dependency, or declare the module in a .d.ts file.`
+         : null
+   },
+   TS2304: (message) =>
+      `Import or declare ${message.match(/name '([^']+)'/)?.[1] ?? 'it'} before using it.`,
+   TS2552: (message) =>
+      `Use ${message.match(/Did you mean '([^']+)'/)?.[1] ?? 'the suggested name'} or import the missing name.`,
+   TS2305: () =>
+      'The module has no such named export: check the export name or use the default import.',
+   TS2614: () =>
+      'The module has no such named export: check the export name or use the default import.',
+   TS2339: () =>
+      'Add the property to the type (interface / props) or fix the property name.',
+   TS2322: () =>
+      'Make the value match the declared type, or change the type if the value is right.',
+   TS2345: () =>
+      'Pass an argument of the expected type, or change the parameter type.',
+   TS2741: () =>
+      'Pass the missing property, or make it optional in the type (prop?: T).',
+   TS2532: () =>
+      'Guard against undefined (if / optional chaining ?.) before using the value.',
+   TS18048: () =>
+      'Guard against undefined (if / optional chaining ?.) before using the value.',
+   TS7006: () => 'Annotate the parameter with a type.',
+   TS6133: () => 'Remove the unused declaration or import, or use it.',
+   TS6192: () => 'Remove the unused imports.',
+   TS17004: () =>
+      'Set "jsx": "react-jsx" in the compilerOptions of tsconfig.json.',
+   TS2686: () =>
+      'Set "jsx": "react-jsx" in tsconfig.json (automatic runtime) or import React.',
+   TS1005: () =>
+      'Syntax error: check for a missing bracket, comma or closing tag just before this position.',
+}
+
+function tsDiagnostic([, file, line, column, code, message]) {
+   return {
+      file,
+      line,
+      column,
+      code,
+      message,
+      fix: TS_FIXES[code]?.(message) ?? null,
+   }
+}
+
+const typescript = {
+   name: 'typescript',
+   rules: [
+      {
+         //* tsc --pretty false: src/App.tsx(12,5): error TS2322: ...
+         id: 'tsc',
+         pattern: /^(\S.*?)\((\d+),(\d+)\): error (TS\d+): (.+)$/,
+         diagnose: tsDiagnostic,
+      },
+      {
+         //* tsc --pretty, vite-plugin-checker: src/App.tsx:12:5 - error TS2322: ...
+         id: 'tsc-pretty',
+         pattern: /^(\S.*?):(\d+):(\d+) - error (TS\d+): (.+)$/,
+         diagnose: tsDiagnostic,
+      },
+   ],
+}
+
+//? ESLint
+
+//* fixes by rule name
+const ESLINT_FIXES = {
+   'no-unused-vars': 'Remove the unused variable or import, or use it.',
+   '@typescript-eslint/no-unused-vars':
+      'Remove the unused variable or import, or use it.',
+   'no-undef': 'Import or declare the name before using it.',
+   'react-hooks/rules-of-hooks':
+      'Call hooks only at the top level of a component or custom hook, never in conditions, loops or callbacks.',
+   'react-hooks/exhaustive-deps':
+      'Add the missing values to the dependency array (memoize functions with useCallback).',
+   'react/jsx-key': 'Give every element of the list a stable, unique key prop.',
+   'react/react-in-jsx-scope':
+      'Import React, or turn the rule off for the automatic JSX runtime.',
+   'react/prop-types':
+      'Declare propTypes for the component, or turn the rule off in a TypeScript project.',
+   'react-refresh/only-export-components':
+      'Move the non-component exports (constants, helpers) into their own file.',
+   '@typescript-eslint/no-explicit-any': 'Replace any with a concrete type.',
+   'import/no-unresolved': 'Fix the import path or install the package.',
+   'prefer-const': 'Declare the variable with const.',
+   'no-console': 'Remove the console call.',
+}
+
+function eslintFix(rule) {
+   if (!rule) return null
+   return ESLINT_FIXES[rule] ?? `Change the code so it satisfies ${rule}.`
+}
+
+//* a file path alone on its line: the heading of a block of eslint results
+const FILE_HEADING =
+   /^(?:\/|[A-Za-z]:\\|\.{0,2}\/?[\w@.-]+\/)?[\w@./\\-]*\.(?:[cm]?[jt]sx?|vue|svelte|astro)$/
+
+const eslint = {
+   name: 'eslint',
+   rules: [
+      {
+         //* "stylish" (the default): the file, then "  12:5  error  Message  rule"
+         id: 'stylish',
+         scan(text) {
+            const found = []
+            let file = null
+            for (const raw of text.split('\n')) {
+               const line = raw.trimEnd()
+               if (FILE_HEADING.test(line)) {
+                  file = line
+                  continue
+               }
+               const match = line.match(
+                  /^\s+(\d+):(\d+)\s+error\s+(.+?)(?:\s{2,}([\w@/-]+))?$/
+               )
+               if (!match || !file) continue
+               const [, row, column, message, rule] = match
+               found.push({
+                  file,
+                  line: row,
+                  column,
+                  code: rule,
+                  message,
+                  fix: eslintFix(rule),
+               })
+            }
+            return found
+         },
+      },
+      {
+         //* --format unix: src/App.jsx:12:5: Message [Error/rule]
+         id: 'unix',
+         pattern: /^(\S+?):(\d+):(\d+): (.+?) \[Error\/([\w@/-]+)\]$/,
+         diagnose: ([, file, line, column, message, rule]) => ({
+            file,
+            line,
+            column,
+            code: rule,
+            message,
+            fix: eslintFix(rule),
+         }),
+      },
+      {
+         //* Create React App: "./src/App.js" then "  Line 5:3:  'x' is not defined  no-undef"
+         id: 'react-scripts',
+         scan(text) {
+            const found = []
+            let file = null
+            for (const line of text.split('\n')) {
+               if (/^\.\/\S+$/.test(line.trim())) {
+                  file = line.trim()
+                  continue
+               }
+               const match = line.match(
+                  /^\s+Line (\d+):(\d+):\s+(.+?)\s{2,}([\w@/-]+)$/
+               )
+               if (!match || !file) continue
+               const [, row, column, message, rule] = match
+               found.push({
+                  file,
+                  line: row,
+                  column,
+                  code: rule,
+                  message,
+                  fix: eslintFix(rule),
+               })
+            }
+            return found
+         },
+      },
+   ],
+}
+
+//? Babel / JSX syntax
+
+//* syntaxFix() – Fix for a parser message (Babel, esbuild and SWC word them alike)
+function syntaxFix(message, file = '') {
+   if (/Adjacent JSX elements/i.test(message)) {
+      return 'Wrap the sibling elements in one parent element or a fragment <>...</>.'
+   }
+   if (
+      /Unterminated JSX|Expected corresponding JSX closing tag/i.test(message)
+   ) {
+      return 'Close the JSX tag (or make it self-closing: <Tag />) and check that opening and closing tags match.'
+   }
+   if (
+      /experimental syntax 'jsx'|JSX syntax extension is not currently enabled/i.test(
+         message
+      )
+   ) {
+      return /\.[cm]?js$/.test(file)
+         ? 'Rename the file to .jsx (Vite only parses JSX in .jsx / .tsx files), or enable the JSX preset / loader for .js files.'
+         : 'Enable JSX in the toolchain (@babel/preset-react, or the framework plugin).'
+   }
+   if (/has already been declared/i.test(message)) {
+      return 'Rename or remove the second declaration.'
+   }
+   if (/'return' outside of function/i.test(message)) {
+      return 'Move the return statement into the component function.'
+   }
+   if (/'import' and 'export' may (only|appear)/i.test(message)) {
+      return 'Move imports and exports to the top level of the module.'
+   }
+   return 'Fix the syntax at this position: look for an unclosed bracket, brace or tag, or a JS expression in JSX that is not wrapped in { }.'
+}
+
+const babel = {
+   name: 'babel',
+   rules: [
+      {
+         //* SyntaxError: /app/src/App.jsx: Unexpected token (12:5), also behind
+         //* [plugin:vite:react-babel] and babel-loader
+         id: 'syntax',
+         pattern:
+            /(?:^|\s)((?:[A-Za-z]:)?[^\s:()]*\.[cm]?[jt]sx?): (.+?) \((\d+):(\d+)\)\s*$/,
+         diagnose: ([, file, message, line, column]) => ({
+            file,
+            line,
+            column,
+            code: 'SyntaxError',
+            message,
+            fix: syntaxFix(message, file),
+         }),
+      },
+      {
+         //* esbuild (Vite dev / build): "✘ [ERROR] Expected ">" but found "}"" and,
+         //* after a blank line, "    src/App.tsx:12:5:"
+         id: 'esbuild',
+         pattern: /\[ERROR\] (.+)\n(?:\s*\n)?\s+(\S+?):(\d+):(\d+):/,
+         diagnose: ([, message, file, line, column]) => ({
+            file,
+            line,
+            column,
+            code: 'SyntaxError',
+            message,
+            fix: syntaxFix(message, file),
+         }),
+      },
+      {
+         //* esbuild transform errors: /app/src/App.jsx:12:5: ERROR: Expected ...
+         id: 'esbuild-transform',
+         pattern: /^(\S+?):(\d+):(\d+): ERROR: (.+)$/,
+         diagnose: ([, file, line, column, message]) => ({
+            file,
+            line,
+            column,
+            code: 'SyntaxError',
+            message,
+            fix: syntaxFix(message, file),
+         }),
+      },
+   ],
+}
+
+//? Vite
+
+const vite = {
+   name: 'vite',
+   rules: [
+      {
+         //* dev: [plugin:vite:import-analysis] Failed to resolve import "x" from "src/App.jsx"
+         //* build: [vite]: Rollup failed to resolve import "x" from "/app/src/App.jsx"
+         id: 'unresolved-import',
+         pattern: /[Ff]ailed to resolve import "([^"]+)" from "([^"]+)"/,
+         diagnose: ([, spec, file]) => ({
+            file,
+            code: 'UNRESOLVED_IMPORT',
+            message: `Cannot resolve import "${spec}"`,
+            fix: moduleFix(spec),
+         }),
+      },
+      {
+         //* dependency pre-bundling: "x (imported by /app/src/main.jsx)" after the heading
+         id: 'unresolved-dependency',
+         scan(text) {
+            const heading = text.search(
+               /dependenc(?:y is|ies are) imported but could not be resolved/
+            )
+            if (heading < 0) return []
+            return [
+               ...text
+                  .slice(heading)
+                  .matchAll(/^\s+(\S+) \(imported by ([^)]+)\)/gm),
+            ].map(([, spec, file]) => ({
+               file,
+               code: 'UNRESOLVED_IMPORT',
+               message: `Cannot resolve import "${spec}"`,
+               fix: moduleFix(spec),
+            }))
+         },
+      },
+      {
+         //* Tailwind v4 moved its PostCSS plugin into @tailwindcss/postcss
+         id: 'tailwind-postcss',
+         pattern:
+            /trying to use `tailwindcss` directly as a PostCSS plugin[^\n]*/,
+         diagnose: ([message]) => ({
+            code: 'TAILWIND_POSTCSS',
+            message,
+            fix: 'Tailwind v4: install @tailwindcss/postcss and use it in postcss.config instead of tailwindcss, or switch to the @tailwindcss/vite plugin.',
+         }),
+      },
+      {
+         //* [postcss] /app/src/index.css:3:1: The `bg-brand` class does not exist ...
+         id: 'postcss',
+         pattern: /\[postcss\] ((?:[A-Za-z]:)?[^\s:]+\.\w+):(\d+):(\d+): (.+)$/,
+         diagnose: ([, file, line, column, message]) => ({
+            file,
+            line,
+            column,
+            code: 'CSS',
+            message,
+            fix: /class does not exist/.test(message)
+               ? 'Use an existing utility, or define the class / theme value (Tailwind config, @theme or @layer).'
+               : 'Fix the CSS at this position.',
+         }),
+      },
+      {
+         id: 'config',
+         pattern: /failed to load config from (\S+)/,
+         diagnose: ([message, file]) => ({
+            file,
+            code: 'VITE_CONFIG',
+            message,
+            fix: 'Check vite.config and the plugins it imports (the lines after this one name the cause).',
+         }),
+      },
+   ],
+}
+
+//? webpack
+
+function resolveDiagnostic(spec) {
+   return {
+      code: 'MODULE_NOT_FOUND',
+      message: `Can't resolve '${spec}'`,
+      fix: moduleFix(spec),
+   }
+}
+
+const webpack = {
+   name: 'webpack',
+   rules: [
+      {
+         //* "ERROR in ./src/App.js 12:5-20" and the message lines under it
+         id: 'error-block',
+         scan(text) {
+            const found = []
+            const blocks = text.matchAll(
+               /^ERROR in (\S+)(?: (\d+):(\d+)(?:-\d+)?)?\n((?:.+\n?)*)/gm
+            )
+            for (const [, file, line, column, body] of blocks) {
+               const lines = body.split('\n').map((l) => l.trim())
+               const resolve = body.match(/Can't resolve '([^']+)'/)
+               if (resolve) {
+                  found.push({
+                     ...resolveDiagnostic(resolve[1]),
+                     file,
+                     line,
+                     column,
+                  })
+                  continue
+               }
+               const buildFailed = lines.findIndex((l) =>
+                  l.startsWith('Module build failed')
+               )
+               const message =
+                  buildFailed >= 0
+                     ? lines.slice(buildFailed + 1).find(Boolean)
+                     : lines.find(Boolean)
+               //* loader syntax errors are reported by the babel pack, with their position
+               if (
+                  !message ||
+                  /^SyntaxError: \S+: .+\(\d+:\d+\)$/.test(message)
+               ) {
+                  continue
+               }
+               found.push({
+                  file,
+                  line,
+                  column,
+                  code: 'WEBPACK',
+                  message,
+                  fix: /Module parse failed/.test(message)
+                     ? 'No loader handles this file type: add one to the webpack config or import a supported file.'
+                     : null,
+               })
+            }
+            return found
+         },
+      },
+      {
+         //* Create React App prints the resolve error without an "ERROR in" block.
+         //* The path after "in" is the directory, not the importing file.
+         id: 'module-not-found',
+         scan(text) {
+            if (/^ERROR in /m.test(text)) return []
+            return [
+               ...text.matchAll(
+                  /Module not found: Error: Can't resolve '([^']+)' in '([^']+)'/g
+               ),
+            ].map(([, spec, dir]) => ({
+               ...resolveDiagnostic(spec),
+               message: `Can't resolve '${spec}' in ${dir}`,
+            }))
+         },
+      },
+      {
+         id: 'missing-export',
+         pattern:
+            /(?:Attempted import error|export) '([^']+)' (?:is not exported from|\(imported as '[^']+'\) was not found in) '([^']+)'/,
+         diagnose: ([message, name, spec]) => ({
+            code: 'MISSING_EXPORT',
+            message,
+            fix: `"${spec}" has no export named ${name}: check the name, or use the default import if it is the default export.`,
+         }),
+      },
+   ],
+}
+
+//? npm, pnpm and yarn
+
+//* strips the "npm ERR! " / "npm error " prefix npm puts on every line
+function npmText(text) {
+   return text.replace(/^npm (?:ERR!|error|warn) ?/gm, '')
+}
+
+const PEER_FIX =
+   'Install a version of the package whose peerDependencies accept the installed one (npm view <pkg> peerDependencies), align the peer version, or as a last resort rerun the install with --legacy-peer-deps.'
+
+const npm = {
+   name: 'npm',
+   rules: [
+      {
+         //* ERESOLVE: "Found: react@18.2.0" ... "peer react@"^17.0.0" from react-foo@1.2.3"
+         id: 'eresolve',
+         scan(text) {
+            const plain = npmText(text)
+            if (!/\bERESOLVE\b/.test(plain)) return []
+            const found = plain.match(/^Found: (\S+)@(\S+)/m)
+            const peer = plain.match(/^peer (\S+?)@"([^"]+)" from (\S+)/m)
+            if (!peer) {
+               return [
+                  {
+                     code: 'ERESOLVE',
+                     message: 'Unable to resolve the dependency tree',
+                     fix: PEER_FIX,
+                  },
+               ]
+            }
+            const [, name, wanted, from] = peer
+            return [
+               {
+                  code: 'ERESOLVE',
+                  message:
+                     `${from} needs ${name}@"${wanted}"` +
+                     (found ? ` but ${found[1]}@${found[2]} is installed` : ''),
+                  fix: PEER_FIX,
+               },
+            ]
+         },
+      },
+      {
+         //* pnpm: "└── ✕ unmet peer react@^17: found 18.2.0"
+         id: 'pnpm-peer',
+         pattern: /✕ unmet peer (\S+?)@(\S+): found (\S+)/,
+         diagnose: ([, name, wanted, version]) => ({
+            code: 'ERR_PNPM_PEER_DEP_ISSUES',
+            message: `Unmet peer ${name}@${wanted}, found ${version}`,
+            fix: PEER_FIX,
+         }),
+      },
+      {
+         //* yarn berry: YN0060: react is listed by your project with version 18.2.0, which doesn't satisfy ...
+         id: 'yarn-peer',
+         pattern: /YN0060: [│| ]*(.+)$/,
+         diagnose: ([, message]) => ({
+            code: 'YN0060',
+            message,
+            fix: PEER_FIX,
+         }),
+      },
+      {
+         id: 'not-found',
+         pattern:
+            /'(\S+?)' is not in (?:this|the npm) registry|ERR_PNPM_FETCH_404[^\n]*?\/([^/\s]+): Not Found/,
+         diagnose: ([, npmName, pnpmName]) => ({
+            code: 'E404',
+            message: `Package ${npmName ?? pnpmName} does not exist in the registry`,
+            fix: 'Check the package name for typos (npm view <name>), or find the package that provides it.',
+         }),
+      },
+      {
+         id: 'no-version',
+         pattern: /No matching version found for (\S+?)\.?$/,
+         diagnose: ([, spec]) => ({
+            code: 'ETARGET',
+            message: `No matching version found for ${spec}`,
+            fix: 'Install without a version or pick one that exists (npm view <name> versions).',
+         }),
+      },
+      {
+         id: 'missing-script',
+         pattern: /Missing script: "?([\w:.-]+)"?/,
+         diagnose: ([message]) => ({
+            code: 'MISSING_SCRIPT',
+            message,
+            fix: 'Run one of the scripts listed in the Project section, or add the script to package.json.',
+         }),
+      },
+      {
+         id: 'no-package-json',
+         pattern: /ENOENT[^\n]*package\.json/,
+         diagnose: ([message]) => ({
+            code: 'ENOENT',
+            message: npmText(message),
+            fix: 'There is no package.json here: cd into the project first, or create the project.',
+         }),
+      },
+   ],
+}
+
+//? Node.js runtime
+
+const node = {
+   name: 'node',
+   rules: [
+      {
+         //* Error: listen EADDRINUSE: address already in use :::3000
+         //* Vite --strictPort: Error: Port 5173 is already in use
+         id: 'port-in-use',
+         pattern:
+            /EADDRINUSE\b.*?:(\d{2,5})\b|Port (\d{2,5}) is already in use/,
+         diagnose: ([, listen, strict]) => {
+            const port = Number(listen ?? strict)
+            return {
+               code: 'EADDRINUSE',
+               message: `Port ${port} is already in use`,
+               fix: `Check the background processes (ps) and stop the one holding port ${port}, or start on another port (e.g. --port ${port + 1}).`,
+            }
+         },
+      },
+      {
+         id: 'react-not-defined',
+         pattern: /ReferenceError: React is not defined/,
+         diagnose: () => ({
+            code: 'ReferenceError',
+            message: 'React is not defined',
+            fix: "Add import React from 'react' to the file, or use the automatic JSX runtime (jsx: react-jsx / @vitejs/plugin-react).",
+         }),
+      },
+      {
+         //* CommonJS: Error: Cannot find module 'x'
+         //* ESM: Error [ERR_MODULE_NOT_FOUND]: Cannot find package 'x' imported from /app/index.mjs
+         id: 'module-not-found',
+         pattern:
+            /\bError(?: \[ERR_MODULE_NOT_FOUND\])?: (Cannot find (?:module|package) '([^']+)'(?: imported from (\S+))?)/,
+         diagnose: ([, message, spec, file]) => ({
+            file,
+            code: 'MODULE_NOT_FOUND',
+            message,
+            fix:
+               moduleFix(spec) +
+               (file && /^\.{1,2}\//.test(spec) && !/\.\w+$/.test(spec)
+                  ? ' Node ESM imports need the file extension.'
+                  : ''),
+         }),
+      },
+      {
+         //* sh: 1: vite: not found / bash: tsc: command not found
+         id: 'command-not-found',
+         pattern:
+            /^(?:\/bin\/)?(?:sh|bash|zsh)(?:: line \d+|: \d+)?: ([\w.@/-]+): (?:command )?not found/,
+         diagnose: ([message, command]) => ({
+            code: 'COMMAND_NOT_FOUND',
+            message,
+            fix: `"${command}" is not installed: install the project's dependencies (install with no packages) or add the package that provides it as a dev dependency.`,
+         }),
+      },
+   ],
+}
+
+//? Test runners
+
+const TEST_FIX =
+   'Make the code behave as the test expects, or update the test if the behaviour changed on purpose.'
+
+const tests = {
+   name: 'tests',
+   rules: [
+      {
+         //* vitest: " FAIL  src/App.test.jsx > App > renders the title"
+         id: 'vitest',
+         pattern: /^\s*FAIL\s+(\S+)\s+>\s+(.+)$/,
+         diagnose: ([, file, name]) => ({
+            file,
+            code: 'TEST_FAILED',
+            message: name.trim(),
+            fix: TEST_FIX,
+         }),
+      },
+      {
+         //* jest: "FAIL src/App.test.js", then "  ● App › renders the title"
+         id: 'jest',
+         scan(text) {
+            const found = []
+            let file = null
+            for (const line of text.split('\n')) {
+               const suite = line.match(/^\s*FAIL\s+(\S+)\s*$/)
+               if (suite) {
+                  file = suite[1]
+                  continue
+               }
+               const test = line.match(/^\s*● (.+)$/)
+               if (!test || !file) continue
+               found.push({
+                  file,
+                  code: 'TEST_FAILED',
+                  message: test[1].trim(),
+                  fix: TEST_FIX,
+               })
+            }
+            return found
+         },
+      },
+   ],
+}
+
+export const BUILTIN_RULE_PACKS = [
+   typescript,
+   eslint,
+   babel,
+   vite,
+   webpack,
+   npm,
+   node,
+   tests,
+]
@@ -0,0 +1,245 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'node:url'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { stripAnsi } from './shell.mjs'
+import { BUILTIN_RULE_PACKS } from './diagnosticRules.mjs'
+
+//? Diagnostics engine – turns the output of a failed command into structured
+//? diagnostics the model can act on. Runs on every failed command, the rules come in
+//? packs: the built-in ones (lib/diagnosticRules.mjs) and local ones from diagnostics.rulesDir.
+
+const SETTINGS = config.diagnostics
+
+//* pack: { name, rules: [rule] }
+//* rule: { id, pattern: RegExp, diagnose(match, context) -> fields | null }
+//*    or { id, scan(text, context) -> [fields] } for formats that span several lines
+//* fields / diagnostic: { file, line, column, code, message, fix }, only message is required.
+//* context: { command, cwd }. Patterns get the "g" and "m" flags: ^ and $ match per line.
+const packs = []
+
+export class RulePackError extends Error {
+   constructor(pack, message) {
+      super(`Rule pack "${pack}": ${message}`)
+      this.name = 'RulePackError'
+      this.code = 'INVALID_RULE_PACK'
+      this.pack = pack
+   }
+
+   toJSON() {
+      return { code: this.code, message: this.message, pack: this.pack }
+   }
+}
+
+//* registerRulePack() – Throws RulePackError on a malformed pack or a taken name.
+//* Packs with a `file` (local ones) run before the built-in ones and win the same line.
+export function registerRulePack(pack) {
+   const name = pack?.name
+   if (!name || !Array.isArray(pack.rules)) {
+      throw new RulePackError(name ?? '?', 'needs a name and a rules array')
+   }
+   if (packs.some((p) => p.name === name)) {
+      throw new RulePackError(name, 'is already registered')
+   }
+   for (const rule of pack.rules) {
+      const valid =
+         rule?.id &&
+         (typeof rule.scan === 'function' ||
+            (rule.pattern instanceof RegExp &&
+               typeof rule.diagnose === 'function'))
+      if (!valid) {
+         throw new RulePackError(
+            name,
+            `rule "${rule?.id ?? '?'}" needs an id and a scan() or a pattern with diagnose()`
+         )
+      }
+   }
+   const entry = {
+      ...pack,
+      rules: pack.rules.map((rule) =>
+         rule.pattern ? { ...rule, pattern: globalPattern(rule.pattern) } : rule
+      ),
+   }
+   const builtin = packs.findIndex((p) => !p.file)
+   if (pack.file && builtin >= 0) packs.splice(builtin, 0, entry)
+   else packs.push(entry)
+   return pack
+}
+
+export function listRulePacks() {
+   return packs.map((p) => ({
+      name: p.name,
+      rules: p.rules.map((r) => r.id),
+      file: p.file ?? null,
+   }))
+}
+
+//* globalPattern() – matchAll needs "g", "m" makes ^ / $ work per line
+function globalPattern(pattern) {
+   const flags = new Set([...pattern.flags, 'g', 'm'])
+   return new RegExp(pattern.source, [...flags].join(''))
+}
+
+//* relativeFile() – Absolute paths inside the workspace are shown relative to the
+//* directory the command ran in, like the paths the model passes to the file tools
+function relativeFile(file, cwd = getWorkspaceRoot()) {
+   if (!file) return null
+   const clean = file.replace(/^file:\/\//, '').replace(/^\.\//, '')
+   if (!path.isAbsolute(clean)) return clean
+   if (path.relative(getWorkspaceRoot(), clean).startsWith('..')) return clean
+   return path.relative(cwd, clean) || clean
+}
+
+function toNumber(value) {
+   const n = Number(value)
+   return Number.isInteger(n) && n > 0 ? n : null
+}
+
+//* normalize() – A rule's fields as a diagnostic, empty fields left out
+function normalize(fields, pack, rule, context) {
+   if (!fields?.message) return null
+   const diagnostic = {
+      file: relativeFile(fields.file, context.cwd),
+      line: toNumber(fields.line),
+      column: toNumber(fields.column),
+      code: fields.code ? String(fields.code) : null,
+      message: String(fields.message).trim(),
+      fix: fields.fix ?? null,
+      source: `${pack.name}/${rule.id}`,
+   }
+   return Object.fromEntries(
+      Object.entries(diagnostic).filter(([, value]) => value !== null)
+   )
+}
+
+function runRule(rule, text, context) {
+   if (rule.scan) return rule.scan(text, context) ?? []
+   return [...text.matchAll(rule.pattern)].map((match) =>
+      rule.diagnose(match, context)
+   )
+}
+
+//* genericErrors() – Fallback when no rule matched: the lines that say error
+function genericErrors(text) {
+   return text
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => /\berror\b|\w+Error\b|\bERR(_|!)/i.test(line))
+      .map((message) => ({ message, source: 'generic' }))
+}
+
+//* diagnose() – Structured diagnostics for a command output, at most diagnostics.max.
+//* The first diagnostic for a file:line wins, a broken rule is reported and skipped.
+//* fallback: false leaves out the generic "lines that say error" (used for logs)
+export function diagnose(output, context = {}, { fallback = true } = {}) {
+   //* output pasted into the diagnose tool may still be colored
+   const text = stripAnsi(output ?? '')
+   if (!text.trim()) return []
+
+   const diagnostics = []
+   const seen = new Set()
+   for (const pack of packs) {
+      for (const rule of pack.rules) {
+         let found
+         try {
+            found = runRule(rule, text, context)
+         } catch (error) {
+            console.warn(
+               chalk.yellow(
+                  `⚠️ Diagnostics rule ${pack.name}/${rule.id} failed:`
+               ),
+               chalk.gray(error.message)
+            )
+            continue
+         }
+         for (const fields of found) {
+            const diagnostic = normalize(fields, pack, rule, context)
+            if (!diagnostic) continue
+            const key = diagnostic.line
+               ? `${diagnostic.file}:${diagnostic.line}`
+               : `${diagnostic.file ?? ''}|${diagnostic.message}`
+            if (seen.has(key)) continue
+            seen.add(key)
+            diagnostics.push(diagnostic)
+         }
+      }
+   }
+
+   if (!diagnostics.length && fallback) {
+      diagnostics.push(
+         ...new Map(genericErrors(text).map((d) => [d.message, d])).values()
+      )
+   }
+   return diagnostics.slice(0, SETTINGS.max)
+}
+
+//* formatDiagnostic() – "src/App.tsx:12:5 TS2322 Type 'x' is not ..."
+export function formatDiagnostic(diagnostic) {
+   const where = [diagnostic.file, diagnostic.line, diagnostic.column]
+      .filter(Boolean)
+      .join(':')
+   return [where, diagnostic.code, diagnostic.message].filter(Boolean).join(' ')
+}
+
+export function printDiagnostics(diagnostics) {
+   if (!diagnostics.length) return
+   console.log(chalk.bgRed.white('🩺 Diagnostics:'))
+   for (const diagnostic of diagnostics.slice(0, 10)) {
+      console.log(
+         chalk.redBright('•'),
+         chalk.yellow(formatDiagnostic(diagnostic))
+      )
+      if (diagnostic.fix)
+         console.log(chalk.cyan('  👉'), chalk.green(diagnostic.fix))
+   }
+   if (diagnostics.length > 10) {
+      console.log(chalk.gray(`  ... ${diagnostics.length - 10} more`))
+   }
+}
+
+//* diagnoseFailure() – diagnose() + printDiagnostics(), for the failed command paths
+export function diagnoseFailure(output, context) {
+   const diagnostics = diagnose(output, context)
+   printDiagnostics(diagnostics)
+   return diagnostics
+}
+
+//? Local rule packs
+
+function rulesDir() {
+   return path.join(getWorkspaceRoot(), SETTINGS.rulesDir)
+}
+
+//* loadRulePacks() – Every .mjs/.js file in diagnostics.rulesDir default-exports a pack
+//* or an array of packs. A broken file is reported and skipped.
+export async function loadRulePacks(dir = rulesDir()) {
+   if (!fs.existsSync(dir)) return []
+   const loaded = []
+   const files = fs
+      .readdirSync(dir)
+      .filter((f) => /\.(mjs|js)$/.test(f))
+      .sort()
+   for (const file of files) {
+      try {
+         const module = await import(pathToFileURL(path.join(dir, file)).href)
+         for (const pack of [module.default ?? module.packs ?? []].flat()) {
+            registerRulePack({ ...pack, file })
+            loaded.push(pack.name)
+         }
+      } catch (error) {
+         console.warn(
+            chalk.yellow(`⚠️ Rule pack ${file} skipped:`),
+            chalk.gray(error.message)
+         )
+      }
+   }
+   if (loaded.length) {
+      console.log(chalk.gray(`🩺 Local rule packs: ${loaded.join(', ')}`))
+   }
+   return loaded
+}
+
+BUILTIN_RULE_PACKS.forEach((pack) => registerRulePack(pack))
+await loadRulePacks()
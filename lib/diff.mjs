@@ -0,0 +1,201 @@
+import chalk from 'chalk'
+
+//? Line based diffs – used for dry-run plans and change previews
+
+const MAX_LCS_CELLS = 4_000_000
+
+function splitLines(text) {
+   if (text === null || text === undefined || text === '') return []
+   return String(text).split('\n')
+}
+
+//* diffLines() – [{ op: ' ' | '-' | '+', line }] via LCS on the changed middle part
+export function diffLines(oldText, newText) {
+   const a = splitLines(oldText)
+   const b = splitLines(newText)
+
+   let start = 0
+   while (start < a.length && start < b.length && a[start] === b[start]) start++
+   let endA = a.length
+   let endB = b.length
+   while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--
+      endB--
+   }
+
+   const ops = a.slice(0, start).map((line) => ({ op: ' ', line }))
+   const midA = a.slice(start, endA)
+   const midB = b.slice(start, endB)
+
+   if (midA.length * midB.length > MAX_LCS_CELLS) {
+      //* too big for a table, show it as a full replacement
+      midA.forEach((line) => ops.push({ op: '-', line }))
+      midB.forEach((line) => ops.push({ op: '+', line }))
+   } else {
+      const n = midA.length
+      const m = midB.length
+      const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1))
+      for (let i = n - 1; i >= 0; i--) {
+         for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] =
+               midA[i] === midB[j]
+                  ? lcs[i + 1][j + 1] + 1
+                  : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+         }
+      }
+      let i = 0
+      let j = 0
+      while (i < n || j < m) {
+         if (i < n && j < m && midA[i] === midB[j]) {
+            ops.push({ op: ' ', line: midA[i++] })
+            j++
+         } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push({ op: '-', line: midA[i++] })
+         } else {
+            ops.push({ op: '+', line: midB[j++] })
+         }
+      }
+   }
+
+   a.slice(endA).forEach((line) => ops.push({ op: ' ', line }))
+   return ops
+}
+
+//* createUnifiedDiff() – Standard unified diff text with `context` lines around changes
+export function createUnifiedDiff(
+   oldText,
+   newText,
+   fileName = 'file',
+   context = 3
+) {
+   const ops = diffLines(oldText, newText)
+
+   //* line numbers (1 based) each op starts at, in the old and new file
+   const oldNo = []
+   const newNo = []
+   let o = 1
+   let n = 1
+   ops.forEach((op, i) => {
+      oldNo[i] = o
+      newNo[i] = n
+      if (op.op !== '+') o++
+      if (op.op !== '-') n++
+   })
+
+   const changes = ops.flatMap((op, i) => (op.op === ' ' ? [] : [i]))
+   if (!changes.length) return ''
+
+   //* changes closer than 2 * context share one hunk
+   const groups = [[changes[0], changes[0]]]
+   for (const index of changes.slice(1)) {
+      const last = groups[groups.length - 1]
+      if (index - last[1] <= context * 2) last[1] = index
+      else groups.push([index, index])
+   }
+
+   const body = groups.flatMap(([first, last]) => {
+      const from = Math.max(0, first - context)
+      const to = Math.min(ops.length - 1, last + context)
+      const slice = ops.slice(from, to + 1)
+      const oldCount = slice.filter((op) => op.op !== '+').length
+      const newCount = slice.filter((op) => op.op !== '-').length
+      const oldStart = oldCount ? oldNo[from] : oldNo[from] - 1
+      const newStart = newCount ? newNo[from] : newNo[from] - 1
+      return [
+         `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+         ...slice.map((op) => `${op.op}${op.line}`),
+      ]
+   })
+
+   return [`--- a/${fileName}`, `+++ b/${fileName}`, ...body].join('\n')
+}
+
+//* colorDiff() – Terminal friendly rendering of a unified diff
+export function colorDiff(diff) {
+   return diff
+      .split('\n')
+      .map((line) => {
+         if (line.startsWith('+++') || line.startsWith('---')) {
+            return chalk.bold(line)
+         }
+         if (line.startsWith('@@')) return chalk.cyan(line)
+         if (line.startsWith('+')) return chalk.green(line)
+         if (line.startsWith('-')) return chalk.red(line)
+         return chalk.gray(line)
+      })
+      .join('\n')
+}
+
+//* parseUnifiedDiff() – Hunks of a single-file unified diff: [{ oldStart, oldLines, newLines }]
+export function parseUnifiedDiff(diff) {
+   const hunks = []
+   let hunk = null
+   const lines = String(diff).split('\n')
+   if (lines[lines.length - 1] === '') lines.pop()
+   for (const line of lines) {
+      const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/)
+      if (header) {
+         hunk = { oldStart: Number(header[1]), oldLines: [], newLines: [] }
+         hunks.push(hunk)
+         continue
+      }
+      if (!hunk || line.startsWith('\\')) continue
+      if (line.startsWith('---') || line.startsWith('+++')) continue
+      const op = line[0]
+      const text = line.slice(1)
+      if (op === ' ' || line === '') {
+         hunk.oldLines.push(text)
+         hunk.newLines.push(text)
+      } else if (op === '-') hunk.oldLines.push(text)
+      else if (op === '+') hunk.newLines.push(text)
+   }
+   return hunks
+}
+
+function findBlock(lines, block, from) {
+   const matches = []
+   for (let i = from; i <= lines.length - block.length; i++) {
+      if (block.every((line, k) => lines[i + k] === line)) matches.push(i)
+   }
+   return matches
+}
+
+//* applyUnifiedDiff() – Apply hunks in order; a hunk whose context moved is searched for.
+//* Throws with the failing hunk number when the context cannot be found.
+export function applyUnifiedDiff(text, diff) {
+   const hunks = parseUnifiedDiff(diff)
+   if (!hunks.length) throw new Error('patch has no @@ hunks')
+
+   const lines = String(text).split('\n')
+   let offset = 0
+   let searchFrom = 0
+
+   hunks.forEach((hunk, n) => {
+      //* "-5,0" means insert after line 5, otherwise oldStart is the first old line
+      const start = hunk.oldLines.length ? hunk.oldStart - 1 : hunk.oldStart
+      const expected = Math.max(0, start + offset)
+      let at = -1
+      if (
+         hunk.oldLines.every((line, k) => lines[expected + k] === line) &&
+         expected + hunk.oldLines.length <= lines.length
+      ) {
+         at = expected
+      } else {
+         const matches = findBlock(lines, hunk.oldLines, searchFrom)
+         if (!matches.length) {
+            throw new Error(
+               `hunk #${n + 1} does not apply: context not found near line ${hunk.oldStart}`
+            )
+         }
+         //* closest match to where the hunk said it would be
+         at = matches.reduce((a, b) =>
+            Math.abs(b - expected) < Math.abs(a - expected) ? b : a
+         )
+      }
+      lines.splice(at, hunk.oldLines.length, ...hunk.newLines)
+      offset += hunk.newLines.length - hunk.oldLines.length
+      searchFrom = at + hunk.newLines.length
+   })
+
+   return lines.join('\n')
+}
@@ -0,0 +1,158 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { createUnifiedDiff, colorDiff } from './diff.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { confirm } from './ask.mjs'
+
+//? Dry-run mode – side effects are recorded into a plan, file writes go to an overlay
+
+const state = {
+   enabled: false,
+   plan: [],
+   //* fullPath -> content, null marks a removed file
+   overlay: new Map(),
+   removedDirs: new Set(),
+   virtualDirs: new Set(),
+}
+
+export function enableDryRun(enabled = true) {
+   state.enabled = enabled
+}
+
+export function isDryRun() {
+   return state.enabled
+}
+
+export function resetPlan() {
+   state.plan = []
+   state.overlay.clear()
+   state.removedDirs.clear()
+   state.virtualDirs.clear()
+}
+
+//* recordPlan() – { type, input, content, cwd, note }
+export function recordPlan(entry) {
+   state.plan.push(entry)
+   console.log(
+      chalk.bold.magenta('📝 [dry-run] Planned:'),
+      chalk.cyan(entry.type),
+      chalk.blue(
+         Array.isArray(entry.input) ? entry.input.join(', ') : entry.input
+      )
+   )
+}
+
+function underRemovedDir(fullPath) {
+   for (const dir of state.removedDirs) {
+      const rel = path.relative(dir, fullPath)
+      if (rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel))) {
+         return true
+      }
+   }
+   return false
+}
+
+//* overlayRead() – { hit, content } where hit means the overlay knows this path
+export function overlayRead(fullPath) {
+   if (state.overlay.has(fullPath)) {
+      return { hit: true, content: state.overlay.get(fullPath) }
+   }
+   if (underRemovedDir(fullPath)) return { hit: true, content: null }
+   return { hit: false, content: null }
+}
+
+export function overlayWrite(fullPath, content) {
+   state.overlay.set(fullPath, content)
+}
+
+export function overlayRemove(fullPath, isDirectory) {
+   if (isDirectory) state.removedDirs.add(fullPath)
+   else state.overlay.set(fullPath, null)
+}
+
+export function addVirtualDir(dir) {
+   state.virtualDirs.add(dir)
+}
+
+export function isVirtualDir(dir) {
+   return state.virtualDirs.has(dir) && !underRemovedDir(dir)
+}
+
+function readDisk(fullPath) {
+   try {
+      return fs.readFileSync(fullPath, 'utf8')
+   } catch {
+      return null
+   }
+}
+
+//* printPlan() – Numbered action list followed by one diff per touched file
+export function printPlan() {
+   const root = getWorkspaceRoot()
+   console.log('\n')
+   console.log(chalk.bold.bgMagenta.white(' 📋 Dry-run plan '))
+
+   if (!state.plan.length) {
+      console.log(chalk.gray('   Nothing would be changed.'))
+      return
+   }
+
+   state.plan.forEach((entry, i) => {
+      const where = path.relative(root, entry.cwd) || '.'
+      const target = Array.isArray(entry.input)
+         ? entry.input.join(', ')
+         : entry.input
+      console.log(
+         chalk.bold(`${String(i + 1).padStart(3)}.`),
+         chalk.cyan(entry.type.padEnd(6)),
+         chalk.blue(target),
+         chalk.gray(`(in ${where})`),
+         entry.note ? chalk.yellow(entry.note) : ''
+      )
+   })
+
+   for (const dir of state.removedDirs) {
+      console.log(
+         chalk.red(`\n🗑  ${path.relative(root, dir)}/ (directory removed)`)
+      )
+   }
+
+   for (const [fullPath, content] of state.overlay) {
+      const name = path.relative(root, fullPath)
+      const before = readDisk(fullPath)
+      console.log('\n')
+      if (content === null) {
+         console.log(chalk.red(`🗑  ${name} (file removed)`))
+         continue
+      }
+      const diff = createUnifiedDiff(before ?? '', content, name)
+      console.log(
+         before === null
+            ? chalk.green(`🆕 ${name}`)
+            : chalk.yellow(`✏️  ${name}`)
+      )
+      console.log(diff ? colorDiff(diff) : chalk.gray('   (no changes)'))
+   }
+   console.log('\n')
+}
+
+//* reviewPlan() – Print the plan and offer to apply it; apply(plan) replays it for real
+export async function reviewPlan(apply) {
+   printPlan()
+   const plan = state.plan
+   resetPlan()
+   if (!plan.length) return false
+
+   if (!(await confirm('Apply this plan for real? [y/N] : '))) {
+      console.log(chalk.gray('Plan discarded.'))
+      return false
+   }
+
+   state.enabled = false
+   try {
+      return await apply(plan)
+   } finally {
+      state.enabled = true
+   }
+}
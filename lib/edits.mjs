@@ -0,0 +1,179 @@
+import { applyUnifiedDiff } from './diff.mjs'
+
+//? Structured edits – search/replace, line ranges, anchors and unified diff patches
+
+export class EditError extends Error {
+   constructor(message, index, op) {
+      super(
+         index === undefined
+            ? message
+            : `edit #${index + 1} (${op}): ${message}`
+      )
+      this.name = 'EditError'
+      this.code = 'EDIT_FAILED'
+      this.index = index
+      this.op = op
+   }
+
+   toJSON() {
+      return {
+         code: this.code,
+         message: this.message,
+         edit: this.index === undefined ? null : this.index + 1,
+      }
+   }
+}
+
+function countOccurrences(text, search) {
+   let count = 0
+   let at = text.indexOf(search)
+   while (at !== -1) {
+      count++
+      at = text.indexOf(search, at + search.length)
+   }
+   return count
+}
+
+function requireString(edit, field) {
+   if (typeof edit[field] !== 'string') {
+      throw new Error(`"${field}" must be a string`)
+   }
+   return edit[field]
+}
+
+//* uniqueIndex() – Position of search in text, it must match exactly once
+function uniqueIndex(text, search, what) {
+   if (!search) throw new Error(`${what} is empty`)
+   const count = countOccurrences(text, search)
+   if (count === 0) throw new Error(`${what} not found`)
+   if (count > 1) {
+      throw new Error(
+         `${what} matched ${count} times, add surrounding lines to make it unique`
+      )
+   }
+   return text.indexOf(search)
+}
+
+const OPERATIONS = {
+   //* { op: "replace", search, replace, all? }
+   replace(text, edit) {
+      const search = requireString(edit, 'search')
+      const replace = requireString(edit, 'replace')
+      if (edit.all) {
+         if (!search || !text.includes(search)) {
+            throw new Error('search text not found')
+         }
+         return text.split(search).join(replace)
+      }
+      const at = uniqueIndex(text, search, 'search text')
+      return text.slice(0, at) + replace + text.slice(at + search.length)
+   },
+
+   //* { op: "lines", start, end, content } – 1 based, inclusive
+   lines(text, edit) {
+      const lines = text.split('\n')
+      const { start, end = edit.start } = edit
+      if (!Number.isInteger(start) || !Number.isInteger(end)) {
+         throw new Error('"start" and "end" must be line numbers')
+      }
+      if (start < 1 || end < start - 1 || end > lines.length) {
+         throw new Error(
+            `line range ${start}-${end} is outside the file (1-${lines.length})`
+         )
+      }
+      const content = requireString(edit, 'content')
+      const replacement = content === '' ? [] : content.split('\n')
+      lines.splice(start - 1, end - start + 1, ...replacement)
+      return lines.join('\n')
+   },
+
+   //* { op: "insertAfter", anchor, content } – new lines after the anchor's line
+   insertAfter(text, edit) {
+      const anchor = requireString(edit, 'anchor')
+      const content = requireString(edit, 'content')
+      const at = uniqueIndex(text, anchor, 'anchor')
+      const lineEnd = text.indexOf('\n', at + anchor.length)
+      if (lineEnd === -1) return `${text}\n${content}`
+      return `${text.slice(0, lineEnd + 1)}${content}\n${text.slice(lineEnd + 1)}`
+   },
+
+   //* { op: "insertBefore", anchor, content } – new lines before the anchor's line
+   insertBefore(text, edit) {
+      const anchor = requireString(edit, 'anchor')
+      const content = requireString(edit, 'content')
+      const at = uniqueIndex(text, anchor, 'anchor')
+      const lineStart = text.lastIndexOf('\n', at) + 1
+      return `${text.slice(0, lineStart)}${content}\n${text.slice(lineStart)}`
+   },
+
+   //* { op: "patch", diff } – unified diff against the current file
+   patch(text, edit) {
+      return applyUnifiedDiff(text, requireString(edit, 'diff'))
+   },
+}
+
+export const EDIT_OPERATIONS = Object.keys(OPERATIONS)
+
+//* isUnifiedDiff() – A "--- a" / "+++ b" header pair at the start or an "@@ -n,m +n,m @@"
+//* hunk header. A Markdown rule or YAML front matter ("---" alone) is file content.
+export function isUnifiedDiff(content) {
+   if (typeof content !== 'string') return false
+   return (
+      /^(diff .*\r?\n(.*\r?\n)*?)?--- \S.*\r?\n\+\+\+ \S/.test(
+         content.trimStart()
+      ) || /^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/m.test(content)
+   )
+}
+
+//* normalizeEdits() – fContent may be a list, one edit, a JSON string of either, or a diff
+function normalizeEdits(spec) {
+   if (isUnifiedDiff(spec)) return [{ op: 'patch', diff: spec }]
+   if (typeof spec === 'string') {
+      try {
+         spec = JSON.parse(spec)
+      } catch {
+         throw new EditError('fContent is neither edit JSON nor a unified diff')
+      }
+   }
+   if (spec && !Array.isArray(spec) && Array.isArray(spec.edits)) {
+      spec = spec.edits
+   }
+   return Array.isArray(spec) ? spec : [spec]
+}
+
+//* isStructuredEdit() – false for plain text, which still replaces the whole file
+export function isStructuredEdit(content) {
+   if (isUnifiedDiff(content)) return true
+   if (content && typeof content === 'object') return true
+   if (typeof content !== 'string') return false
+   const trimmed = content.trim()
+   if (!/^[[{]/.test(trimmed)) return false
+   try {
+      const parsed = JSON.parse(trimmed)
+      const first = Array.isArray(parsed) ? parsed[0] : parsed
+      return Boolean(first?.op || first?.edits)
+   } catch {
+      return false
+   }
+}
+
+//* applyEdits() – All edits apply to an in-memory copy, the file is only written if
+//* every one of them succeeds
+export function applyEdits(text, spec) {
+   const edits = normalizeEdits(spec)
+   return edits.reduce((current, edit, index) => {
+      const op = edit?.op
+      if (!OPERATIONS[op]) {
+         throw new EditError(
+            `unknown op ${JSON.stringify(op)}, use one of ${EDIT_OPERATIONS.join(', ')}`,
+            index,
+            op
+         )
+      }
+      try {
+         return OPERATIONS[op](current, edit)
+      } catch (error) {
+         throw new EditError(error.message, index, op)
+      }
+   }, text)
+}
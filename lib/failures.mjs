@@ -0,0 +1,54 @@
+import chalk from 'chalk'
+import { config } from './config.mjs'
+
+//? Failure handling – retry/repair budget for failed actions
+
+export const MAX_RETRIES = config.maxRetries
+
+//* recordResult() – Track consecutive failures of the current step.
+//* A successful action resets the streak, a failed one is appended to it.
+export function recordResult(failures, result) {
+   if (result.ok) return []
+   return [
+      ...failures,
+      {
+         type: result.type,
+         input: result.input,
+         exitCode: result.exitCode ?? null,
+         code: result.error?.code ?? null,
+         error:
+            result.diagnostics?.[0]?.message ||
+            (typeof result.value === 'string' ? result.value : null) ||
+            result.stderr?.split('\n').find(Boolean) ||
+            'Unknown failure',
+      },
+   ]
+}
+
+//* attemptsLeft() – Remaining repair attempts the model gets for this step
+export function attemptsLeft(failures, maxRetries = MAX_RETRIES) {
+   return Math.max(0, maxRetries - failures.length)
+}
+
+//* shouldGiveUp() – True once the step failed more often than the retry budget allows
+export function shouldGiveUp(failures, maxRetries = MAX_RETRIES) {
+   return failures.length > maxRetries
+}
+
+//* failureSummary() – Human readable report printed when the agent gives up
+export function failureSummary(failures) {
+   const lines = failures.map(
+      (f, i) =>
+         `  ${i + 1}. [${f.type}] ${f.input}` +
+         (f.exitCode !== null ? ` (exit ${f.exitCode})` : '') +
+         `\n     ${f.error}`
+   )
+   return `Step failed after ${failures.length} attempt(s):\n${lines.join('\n')}`
+}
+
+export function printFailureSummary(failures) {
+   console.log('\n')
+   console.log(chalk.bold.bgRed.white(' ❌ Giving up on this prompt '))
+   console.log(chalk.redBright(failureSummary(failures)))
+   console.log('\n')
+}
@@ -0,0 +1,200 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { confirm } from './ask.mjs'
+
+//? Change journal – snapshots every file before a prompt's run writes, edits or removes it
+
+function journalDir() {
+   return path.join(getWorkspaceRoot(), '.agent', 'journal')
+}
+
+function indexFile() {
+   return path.join(journalDir(), 'index.json')
+}
+
+//* index.json: [{ id, prompt, startedAt, status,
+//*    files: [{ path, existed, isDir, blob, link? }] }] – link: target of a symlink
+function readIndex() {
+   try {
+      return JSON.parse(fs.readFileSync(indexFile(), 'utf8'))
+   } catch {
+      return []
+   }
+}
+
+function writeIndex(entries) {
+   fs.mkdirSync(journalDir(), { recursive: true })
+   fs.writeFileSync(indexFile(), JSON.stringify(entries, null, 2))
+}
+
+let current = null
+
+//* beginPrompt() – Open a journal entry, every snapshot until endPrompt() belongs to it
+export function beginPrompt(prompt) {
+   const entries = readIndex()
+   current = {
+      id: `${Date.now()}`,
+      prompt,
+      startedAt: new Date().toISOString(),
+      status: 'running',
+      files: [],
+   }
+   writeIndex([...entries, current])
+   return current.id
+}
+
+function saveCurrent() {
+   const entries = readIndex().map((e) => (e.id === current.id ? current : e))
+   writeIndex(entries)
+}
+
+//* snapshot() – Keep the pre-run state of fullPath once per prompt
+export function snapshot(fullPath) {
+   if (!current) return
+   if (current.files.some((f) => f.path === fullPath)) return
+
+   const stat = fs.lstatSync(fullPath, { throwIfNoEntry: false })
+   const existed = Boolean(stat)
+   const isDir = existed && stat.isDirectory()
+   let blob = null
+
+   if (stat?.isSymbolicLink()) {
+      current.files.push({
+         path: fullPath,
+         existed,
+         isDir,
+         blob,
+         link: fs.readlinkSync(fullPath),
+      })
+      saveCurrent()
+      return
+   }
+   if (existed) {
+      blob = path.join(current.id, String(current.files.length))
+      const target = path.join(journalDir(), blob)
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      if (isDir) fs.cpSync(fullPath, target, { recursive: true })
+      else fs.copyFileSync(fullPath, target)
+   }
+
+   current.files.push({ path: fullPath, existed, isDir, blob })
+   saveCurrent()
+}
+
+//* endPrompt() – Close the entry; entries without file changes are dropped
+export function endPrompt(status = 'done') {
+   if (!current) return
+   current.status = status
+   if (current.files.length) saveCurrent()
+   else writeIndex(readIndex().filter((e) => e.id !== current.id))
+   current = null
+}
+
+function restoreEntry(entry) {
+   //* newest snapshot first, so nested changes unwind in reverse order
+   for (const file of [...entry.files].reverse()) {
+      if (fs.lstatSync(file.path, { throwIfNoEntry: false })) {
+         fs.rmSync(file.path, { recursive: true, force: true })
+      }
+      if (file.link) {
+         fs.mkdirSync(path.dirname(file.path), { recursive: true })
+         fs.symlinkSync(file.link, file.path)
+      } else if (file.existed) {
+         const source = path.join(journalDir(), file.blob)
+         fs.mkdirSync(path.dirname(file.path), { recursive: true })
+         if (file.isDir) fs.cpSync(source, file.path, { recursive: true })
+         else fs.copyFileSync(source, file.path)
+      }
+      console.log(
+         chalk.yellow('↩️  Restored:'),
+         chalk.blue(path.relative(getWorkspaceRoot(), file.path)),
+         chalk.gray(file.existed ? '' : '(removed, it was created)')
+      )
+   }
+   fs.rmSync(path.join(journalDir(), entry.id), {
+      recursive: true,
+      force: true,
+   })
+}
+
+//* rollback() – Undo the last prompt, or every prompt back to (and including) #number
+export function rollback(number) {
+   const entries = readIndex()
+   if (!entries.length) {
+      console.log(chalk.gray('Nothing to undo.'))
+      return 0
+   }
+   const from = number === undefined ? entries.length - 1 : number - 1
+   if (!Number.isInteger(from) || from < 0 || from >= entries.length) {
+      console.log(chalk.red(`⚠️ No journal entry #${number}`))
+      return 0
+   }
+
+   const undone = entries.slice(from).reverse()
+   undone.forEach((entry) => {
+      console.log(chalk.bold.yellow(`\n↩️  Undoing: ${entry.prompt}`))
+      restoreEntry(entry)
+   })
+   writeIndex(entries.slice(0, from))
+   console.log(chalk.bold.green(`✅ Rolled back ${undone.length} prompt(s)`))
+   return undone.length
+}
+
+export function printHistory() {
+   const entries = readIndex()
+   if (!entries.length) {
+      console.log(chalk.gray('Journal is empty.'))
+      return
+   }
+   entries.forEach((entry, i) => {
+      console.log(
+         chalk.bold(`${String(i + 1).padStart(3)}.`),
+         chalk.cyan(entry.prompt),
+         chalk.gray(`${entry.files.length} file(s), ${entry.startedAt}`),
+         {
+            failed: chalk.red('[failed]'),
+            cancelled: chalk.yellow('[cancelled]'),
+         }[entry.status] ?? ''
+      )
+   })
+}
+
+//* handleJournalCommand() – REPL commands: exactly "undo", "undo <n>" or "history".
+//* Anything else ("undo the navbar change") is a prompt for the agent.
+export function handleJournalCommand(prompt) {
+   const text = prompt.trim()
+   if (text === 'history') {
+      printHistory()
+      return true
+   }
+   const undo = text.match(/^undo(?:\s+(\d+))?$/)
+   if (!undo) return false
+   const number = undo[1] === undefined ? undefined : Number(undo[1])
+   if (number !== undefined && !(Number.isInteger(number) && number > 0)) {
+      console.log(chalk.red(`⚠️ No journal entry #${undo[1]}`))
+      return true
+   }
+   rollback(number)
+   return true
+}
+
+//* finishFailedRun() – journal.autoRollback: "always" | "ask" | "never"
+export async function finishFailedRun() {
+   const mode = config.journal?.autoRollback ?? 'ask'
+   const changed = current?.files.length ?? 0
+   endPrompt('failed')
+   if (!changed || mode === 'never') return
+
+   if (
+      mode === 'ask' &&
+      !(await confirm(
+         `Run failed. Roll back its ${changed} file change(s)? [y/N] : `
+      ))
+   ) {
+      return
+   }
+   rollback()
+}
@@ -0,0 +1,111 @@
+import { randomUUID } from 'node:crypto'
+
+//? LangSmith export – optional trace exporter, enabled with tracing.exporters: ["langsmith"].
+//? Needs `npm install langsmith` and LANGSMITH_API_KEY; the local JSONL trace is written either way.
+
+//* createExporter() – Mirrors local trace events as LangSmith runs (chain > llm / tool / chain)
+export async function createExporter(settings) {
+   if (!process.env.LANGSMITH_API_KEY && !process.env.LANGCHAIN_API_KEY) {
+      throw new Error('LANGSMITH_API_KEY is not set')
+   }
+   const { Client } = await import('langsmith')
+   const client = new Client()
+   const projectName =
+      settings.langsmithProject ??
+      process.env.LANGSMITH_PROJECT ??
+      'react-agent'
+
+   //* local trace id -> LangSmith root run id
+   const roots = new Map()
+   const pending = []
+
+   function send(promise) {
+      pending.push(promise.catch(() => {}))
+   }
+
+   //* child() – Every event after the start becomes a finished child run of the root
+   function child(event, run) {
+      const parent = roots.get(event.trace)
+      if (!parent) return
+      const end = Date.parse(event.at)
+      const duration = event.latencyMs ?? event.durationMs ?? 0
+      send(
+         client.createRun({
+            id: randomUUID(),
+            parent_run_id: parent,
+            project_name: projectName,
+            start_time: end - duration,
+            end_time: end,
+            ...run,
+         })
+      )
+   }
+
+   function onEvent(event) {
+      switch (event.type) {
+         case 'run':
+            if (event.phase === 'start') {
+               const id = randomUUID()
+               roots.set(event.trace, id)
+               send(
+                  client.createRun({
+                     id,
+                     name: 'prompt',
+                     run_type: 'chain',
+                     project_name: projectName,
+                     start_time: Date.parse(event.at),
+                     inputs: { prompt: event.prompt },
+                     extra: { metadata: { trace: event.trace } },
+                  })
+               )
+            } else {
+               send(
+                  client.updateRun(roots.get(event.trace), {
+                     end_time: Date.parse(event.at),
+                     outputs: { status: event.status },
+                  })
+               )
+               roots.delete(event.trace)
+            }
+            break
+         case 'model':
+            child(event, {
+               name: event.model,
+               run_type: 'llm',
+               inputs: { messages: event.messages },
+               outputs: { message: event.response, usage: event.usage },
+               error: event.error,
+            })
+            break
+         case 'task':
+            child(event, {
+               name: event.taskType,
+               run_type: 'tool',
+               inputs: { input: event.input, content: event.content },
+               outputs: {
+                  ok: event.ok,
+                  value: event.value,
+                  stdout: event.stdout,
+                  stderr: event.stderr,
+               },
+               error: event.error?.message,
+            })
+            break
+         case 'node':
+            child(event, {
+               name: event.name,
+               run_type: 'chain',
+               inputs: {},
+               outputs: { updated: event.updated },
+               error: event.error,
+            })
+            break
+      }
+   }
+
+   async function flush() {
+      await Promise.all(pending.splice(0))
+   }
+
+   return { onEvent, flush }
+}
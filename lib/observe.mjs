@@ -0,0 +1,66 @@
+//? Observation channel – turns executeTask results into "observe" steps for the model
+
+const LIMITS = {
+   value: 6000,
+   stdout: 3000,
+   stderr: 3000,
+}
+
+//* truncate() – Keep the head and tail of long text, the middle is usually noise
+export function truncate(text, limit) {
+   if (text === null || text === undefined) return text
+   const str = typeof text === 'string' ? text : JSON.stringify(text)
+   if (str.length <= limit) return str
+
+   const head = Math.floor(limit * 0.7)
+   const tail = limit - head
+   const dropped = str.length - head - tail
+   return (
+      str.slice(0, head) +
+      `\n... [${dropped} chars truncated] ...\n` +
+      str.slice(str.length - tail)
+   )
+}
+
+//* buildObservation() – Structured, size-bounded view of a task result
+export function buildObservation(result) {
+   const observation = {
+      step: 'observe',
+      fType: result.type,
+      fInput: truncate(result.input, 300),
+      ok: result.ok,
+      durationMs: result.durationMs,
+   }
+
+   if (result.value !== null && result.value !== undefined) {
+      observation.result =
+         typeof result.value === 'string'
+            ? truncate(result.value, LIMITS.value)
+            : result.value
+   }
+   if (result.exitCode !== null && result.exitCode !== undefined) {
+      observation.exitCode = result.exitCode
+   }
+   if (result.stdout)
+      observation.stdout = truncate(result.stdout, LIMITS.stdout)
+   if (result.stderr)
+      observation.stderr = truncate(result.stderr, LIMITS.stderr)
+   if (result.error) observation.error = result.error
+   if (result.diagnostics?.length) {
+      observation.diagnostics = result.diagnostics.slice(0, 20)
+   }
+   if (result.project) observation.project = result.project
+   if (result.attemptsLeft !== undefined) {
+      observation.attemptsLeft = result.attemptsLeft
+   }
+
+   return observation
+}
+
+//* observationMessage() – Chat message carrying the observation back to the model
+export function observationMessage(result) {
+   return {
+      role: 'user',
+      content: JSON.stringify(buildObservation(result)),
+   }
+}
@@ -0,0 +1,509 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { getWorkspaceRoot } from './sandbox.mjs'
+
+//? Package management – installs go through the project's own package manager (picked
+//? from the lockfile), and what was really installed is read back from package.json and
+//? the lockfile instead of taken from the model's summary
+
+//* lockfile -> package manager, in order of preference when several exist
+const LOCKFILES = [
+   ['pnpm-lock.yaml', 'pnpm'],
+   ['yarn.lock', 'yarn'],
+   ['bun.lockb', 'bun'],
+   ['bun.lock', 'bun'],
+   ['package-lock.json', 'npm'],
+]
+
+//* command parts per manager: install (everything), add, remove and the flags
+const MANAGERS = {
+   npm: {
+      install: 'npm install',
+      add: 'npm install',
+      remove: 'npm uninstall',
+      dev: '--save-dev',
+      exact: '--save-exact',
+   },
+   pnpm: {
+      install: 'pnpm install',
+      add: 'pnpm add',
+      remove: 'pnpm remove',
+      dev: '--save-dev',
+      exact: '--save-exact',
+   },
+   yarn: {
+      install: 'yarn install',
+      add: 'yarn add',
+      remove: 'yarn remove',
+      dev: '--dev',
+      exact: '--exact',
+   },
+   bun: {
+      install: 'bun install',
+      add: 'bun add',
+      remove: 'bun remove',
+      dev: '--dev',
+      exact: '--exact',
+   },
+}
+
+const DEPENDENCY_FIELDS = [
+   ['dependencies', false],
+   ['optionalDependencies', false],
+   ['devDependencies', true],
+]
+
+export function readJson(file) {
+   try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'))
+   } catch {
+      return null
+   }
+}
+
+//* findProjectRoot() – Nearest directory with a package.json, not above the workspace root
+export function findProjectRoot(dir) {
+   const root = getWorkspaceRoot()
+   let candidate = dir
+   while (true) {
+      if (fs.existsSync(path.join(candidate, 'package.json'))) return candidate
+      if (candidate === root || path.dirname(candidate) === candidate) {
+         return null
+      }
+      candidate = path.dirname(candidate)
+   }
+}
+
+export function installedVersion(root, name) {
+   return (
+      readJson(path.join(root, 'node_modules', name, 'package.json'))
+         ?.version ?? null
+   )
+}
+
+//* detectPackageManager() – { name, lockfile } of the project in `root` (npm without one)
+export function detectPackageManager(root) {
+   const pkg = root ? readJson(path.join(root, 'package.json')) : null
+   //* "packageManager": "pnpm@9.1.0" (corepack) is the most explicit hint
+   const declared = pkg?.packageManager?.split('@')[0]
+   const lockfile = root
+      ? LOCKFILES.find(([file]) => fs.existsSync(path.join(root, file)))
+      : null
+   if (declared && MANAGERS[declared]) {
+      return { name: declared, lockfile: lockfile?.[0] ?? null }
+   }
+   if (lockfile) return { name: lockfile[1], lockfile: lockfile[0] }
+   return { name: 'npm', lockfile: null }
+}
+
+//?? Commands
+
+//* packageList() – "react zod@3" or ["react", "zod@3"] -> ["react", "zod@3"]
+export function packageList(input) {
+   return [input ?? []]
+      .flat()
+      .flatMap((p) => String(p).trim().split(/\s+/))
+      .filter(Boolean)
+}
+
+//* packageOptions() – fContent of install: { dev, exact }, or "dev" / "-D" as a string
+export function packageOptions(content) {
+   if (!content) return { dev: false, exact: false }
+   if (typeof content === 'string') {
+      try {
+         return packageOptions(JSON.parse(content))
+      } catch {
+         return {
+            dev: /\b(dev|save-dev)\b|(^|\s)-D\b/.test(content),
+            exact: /\bexact\b|(^|\s)-E\b/.test(content),
+         }
+      }
+   }
+   return { dev: Boolean(content.dev), exact: Boolean(content.exact) }
+}
+
+//* packageCommand() – The command for `action` ("install" | "uninstall") in the project
+//* `dir` belongs to; it runs in the project root so the right package.json changes
+export function packageCommand(action, dir, packages, options = {}) {
+   const root = findProjectRoot(dir)
+   const manager = detectPackageManager(root)
+   const parts = MANAGERS[manager.name]
+   if (action === 'uninstall' && !packages.length) {
+      throw new Error('uninstall needs at least one package name')
+   }
+   const command =
+      action === 'uninstall'
+         ? [parts.remove, ...packages]
+         : packages.length
+           ? [
+                parts.add,
+                ...packages,
+                options.dev && parts.dev,
+                options.exact && parts.exact,
+             ]
+           : [parts.install]
+   return {
+      command: command.filter(Boolean).join(' '),
+      cwd: root ?? dir,
+      manager,
+   }
+}
+
+//* flags a package-manager command in a `shell` step may carry and still be rerouted,
+//* per manager: npm's "-d" is --loglevel info, only bun reads it as a dev dependency
+const PACKAGE_FLAGS = {
+   npm: {
+      '-D': 'dev',
+      '--save-dev': 'dev',
+      '-E': 'exact',
+      '--save-exact': 'exact',
+      '-S': null,
+      '--save': null,
+      '-P': null,
+      '--save-prod': null,
+   },
+   pnpm: {
+      '-D': 'dev',
+      '--save-dev': 'dev',
+      '-E': 'exact',
+      '--save-exact': 'exact',
+      '-P': null,
+      '--save-prod': null,
+   },
+   yarn: {
+      '-D': 'dev',
+      '--dev': 'dev',
+      '-E': 'exact',
+      '--exact': 'exact',
+   },
+   bun: {
+      '-D': 'dev',
+      '-d': 'dev',
+      '--dev': 'dev',
+      '-E': 'exact',
+      '--exact': 'exact',
+   },
+}
+
+const ADD_VERBS = {
+   npm: ['install', 'i', 'add'],
+   pnpm: ['add', 'install', 'i'],
+   yarn: ['add', 'install'],
+   bun: ['add', 'install', 'i'],
+}
+const REMOVE_VERBS = {
+   npm: ['uninstall', 'remove', 'rm', 'un', 'r'],
+   pnpm: ['remove', 'rm', 'uninstall', 'un'],
+   yarn: ['remove'],
+   bun: ['remove', 'rm'],
+}
+
+//* parsePackageCommand() – "npm i -D vite" -> { action, packages, options }, null for
+//* anything that is not a plain install / uninstall (global, chained, unknown flags)
+export function parsePackageCommand(command) {
+   const [tool, verb, ...rest] = command.trim().split(/\s+/)
+   if (!MANAGERS[tool] || /[;&|<>`$()]/.test(command)) return null
+   //* a bare "yarn" installs everything
+   if (tool === 'yarn' && (!verb || verb === 'install') && !rest.length) {
+      return { action: 'install', packages: [], options: {} }
+   }
+
+   const action = ADD_VERBS[tool].includes(verb)
+      ? 'install'
+      : REMOVE_VERBS[tool].includes(verb)
+        ? 'uninstall'
+        : null
+   if (!action) return null
+
+   const flags = PACKAGE_FLAGS[tool]
+   const packages = []
+   const options = { dev: false, exact: false }
+   for (const token of rest) {
+      if (!token.startsWith('-')) {
+         packages.push(token)
+      } else if (Object.hasOwn(flags, token)) {
+         if (flags[token]) options[flags[token]] = true
+      } else {
+         return null
+      }
+   }
+   //* "pnpm add" / "yarn add" without names is not an install-all
+   if (verb === 'add' && !packages.length) return null
+   return { action, packages, options }
+}
+
+//?? Lockfiles – version each direct dependency is locked at
+
+function packageLockVersions(root) {
+   const lock = readJson(path.join(root, 'package-lock.json'))
+   const versions = {}
+   //* lockfileVersion 2/3: "node_modules/<name>", nested installs are skipped
+   for (const [key, entry] of Object.entries(lock?.packages ?? {})) {
+      const name = key.replace(/^node_modules\//, '')
+      if (key.startsWith('node_modules/') && !name.includes('/node_modules/')) {
+         versions[name] = entry.version
+      }
+   }
+   //* lockfileVersion 1
+   for (const [name, entry] of Object.entries(lock?.dependencies ?? {})) {
+      versions[name] ??= entry.version
+   }
+   return versions
+}
+
+function unquote(text) {
+   return text.trim().replace(/^['"]|['"]$/g, '')
+}
+
+//* pnpmLockVersions() – Top-level and importers["."] dependency sections, no YAML parser:
+//*   react: 18.2.0                       (lockfile v5)
+//*   react:\n  specifier: ^18\n  version: 18.3.1(...)   (v6 / v9)
+function pnpmLockVersions(root) {
+   const file = path.join(root, 'pnpm-lock.yaml')
+   const lines = fs.readFileSync(file, 'utf8').split('\n')
+   const versions = {}
+   let sectionIndent = null
+   let importer = null
+   let current = null
+
+   for (const line of lines) {
+      if (!line.trim() || line.trim().startsWith('#')) continue
+      const indent = line.length - line.trimStart().length
+      const text = line.trim()
+
+      if (indent === 0) importer = text === 'importers:' ? 'importers' : null
+      if (importer && indent === 2) importer = unquote(text.replace(/:$/, ''))
+
+      const isSection =
+         /^(dependencies|devDependencies|optionalDependencies):$/.test(text) &&
+         (indent === 0 || (indent === 4 && importer === '.'))
+      if (isSection) {
+         sectionIndent = indent
+         current = null
+         continue
+      }
+      if (sectionIndent === null || indent <= sectionIndent) {
+         sectionIndent = null
+         continue
+      }
+
+      const [key, ...value] = text.split(':')
+      const rest = value.join(':').trim()
+      if (indent === sectionIndent + 2) {
+         current = unquote(key)
+         if (rest) versions[current] = unquote(rest)
+      } else if (current && key === 'version') {
+         versions[current] = unquote(rest)
+      }
+   }
+
+   //* "18.3.1(react@18.3.1)" – peer suffixes are not part of the version
+   for (const name of Object.keys(versions)) {
+      versions[name] = versions[name].split('(')[0]
+   }
+   return versions
+}
+
+//* yarnLockVersions() – "react@^18.2.0, react@^18.0.0:" blocks (v1) and
+//* "react@npm:^18.2.0": blocks (berry), keyed by the descriptor in package.json
+function yarnLockVersions(root, manifest) {
+   const text = fs.readFileSync(path.join(root, 'yarn.lock'), 'utf8')
+   const byDescriptor = {}
+   for (const block of text.split(/\n(?=\S)/)) {
+      const [header, ...body] = block.split('\n')
+      const version = body
+         .map((l) => l.trim().match(/^version:?\s+"?([^"\s]+)"?/))
+         .find(Boolean)?.[1]
+      if (!version || !header.endsWith(':')) continue
+      for (const descriptor of header.slice(0, -1).split(',')) {
+         byDescriptor[unquote(descriptor).replace('@npm:', '@')] = version
+      }
+   }
+
+   const versions = {}
+   for (const [name, { range }] of Object.entries(manifest)) {
+      versions[name] =
+         byDescriptor[`${name}@${range}`] ??
+         Object.entries(byDescriptor).find(([d]) =>
+            d.startsWith(`${name}@`)
+         )?.[1]
+   }
+   return versions
+}
+
+//* bunLockVersions() – bun.lock (text): "react": ["react@18.3.1", ...]; bun.lockb is binary
+function bunLockVersions(root, manifest) {
+   const file = path.join(root, 'bun.lock')
+   if (!fs.existsSync(file)) return {}
+   const text = fs.readFileSync(file, 'utf8')
+   const versions = {}
+   for (const name of Object.keys(manifest)) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+      const match = text.match(
+         new RegExp(`"${escaped}":\\s*\\[\\s*"${escaped}@([^"]+)"`)
+      )
+      if (match) versions[name] = match[1]
+   }
+   return versions
+}
+
+function lockedVersions(root, lockfile, manifest) {
+   try {
+      switch (lockfile) {
+         case 'package-lock.json':
+            return packageLockVersions(root)
+         case 'pnpm-lock.yaml':
+            return pnpmLockVersions(root)
+         case 'yarn.lock':
+            return yarnLockVersions(root, manifest)
+         case 'bun.lock':
+         case 'bun.lockb':
+            return bunLockVersions(root, manifest)
+         default:
+            return {}
+      }
+   } catch {
+      //* a half-written or unknown lockfile format, node_modules is the fallback
+      return {}
+   }
+}
+
+//?? Dependency diff
+
+//* snapshotDependencies() – name -> { range, dev, version } of the direct dependencies,
+//* version from the lockfile, then node_modules, null when neither has it
+export function snapshotDependencies(root) {
+   const pkg = root ? readJson(path.join(root, 'package.json')) : null
+   if (!pkg) return {}
+   const manifest = {}
+   for (const [field, dev] of DEPENDENCY_FIELDS) {
+      for (const [name, range] of Object.entries(pkg[field] ?? {})) {
+         manifest[name] = { range, dev }
+      }
+   }
+   const locked = lockedVersions(
+      root,
+      detectPackageManager(root).lockfile,
+      manifest
+   )
+   for (const [name, entry] of Object.entries(manifest)) {
+      entry.version = locked[name] ?? installedVersion(root, name)
+   }
+   return manifest
+}
+
+//* diffDependencies() – { added, removed, upgraded } between two snapshots, a downgrade is
+//* listed as upgraded with the lower `to`. Only installed versions count: a range in
+//* package.json that nothing was installed for is no change
+export function diffDependencies(before, after) {
+   const added = []
+   const removed = []
+   const upgraded = []
+   for (const [name, entry] of Object.entries(after)) {
+      const from = before[name]?.version
+      if (!entry.version || from === entry.version) continue
+      if (from) upgraded.push({ name, from, to: entry.version, dev: entry.dev })
+      else added.push({ name, version: entry.version, dev: entry.dev })
+   }
+   for (const [name, entry] of Object.entries(before)) {
+      if (entry.version && !after[name]?.version) {
+         removed.push({ name, version: entry.version, dev: entry.dev })
+      }
+   }
+   return { added, removed, upgraded }
+}
+
+export function hasChanges(changes) {
+   return Boolean(
+      changes &&
+      (changes.added.length ||
+         changes.removed.length ||
+         changes.upgraded.length)
+   )
+}
+
+//* createDependencyTracker() – Baselines of every project a run works in, taken before
+//* the run's first action there. A directory without package.json has an empty baseline,
+//* so what the first install in it adds (package.json included) is reported.
+export function createDependencyTracker(dir) {
+   const baselines = new Map()
+
+   function track(dir) {
+      const root = findProjectRoot(dir) ?? dir
+      if (!baselines.has(root)) {
+         baselines.set(root, snapshotDependencies(root))
+      }
+   }
+
+   //* diff() – Changes of all tracked projects since the run started
+   function diff() {
+      const changes = { added: [], removed: [], upgraded: [] }
+      for (const [root, before] of baselines) {
+         const projectDiff = diffDependencies(
+            before,
+            snapshotDependencies(root)
+         )
+         for (const key of Object.keys(changes)) {
+            changes[key].push(...projectDiff[key])
+         }
+      }
+      return changes
+   }
+
+   track(dir)
+   return { track, diff }
+}
+
+//?? Report
+
+//* "@types/react@18.3.1" -> "@types/react"
+function packageName(spec) {
+   return String(spec).replace(/(.)@.*$/, '$1')
+}
+
+//* installedPackages() – PackagesInstalled entries: added and upgraded as name@version
+export function installedPackages(changes) {
+   return [
+      ...changes.added.map((p) => `${p.name}@${p.version}`),
+      ...changes.upgraded.map((p) => `${p.name}@${p.to}`),
+   ]
+}
+
+export function formatChanges(changes) {
+   const dev = (p) => (p.dev ? chalk.gray(' (dev)') : '')
+   return [
+      ...changes.added.map(
+         (p) => chalk.green(`+ ${p.name}@${p.version}`) + dev(p)
+      ),
+      ...changes.upgraded.map(
+         (p) => chalk.yellow(`↑ ${p.name} ${p.from} → ${p.to}`) + dev(p)
+      ),
+      ...changes.removed.map(
+         (p) => chalk.red(`- ${p.name}@${p.version}`) + dev(p)
+      ),
+   ].join(', ')
+}
+
+//* verifiedOutput() – The output step with PackagesInstalled replaced by the real changes
+export function verifiedOutput(output, changes) {
+   const installed = installedPackages(changes)
+   const names = installed.map(packageName)
+   const unverified = (output.PackagesInstalled ?? []).filter(
+      (claimed) => !names.includes(packageName(claimed))
+   )
+   if (hasChanges(changes)) {
+      console.log(
+         chalk.bold.green('📦 Package changes:'),
+         formatChanges(changes)
+      )
+   }
+   if (unverified.length) {
+      console.log(
+         chalk.gray(
+            `📦 Not in package.json changes, dropped from the summary: ${unverified.join(', ')}`
+         )
+      )
+   }
+   return { ...output, PackagesInstalled: installed, packages: changes }
+}
@@ -0,0 +1,373 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { confirm, isAssumeYes } from './ask.mjs'
+
+//? Shell command policy – classify every `shell` task as allow / ask / deny before it runs
+
+const SEVERITY = { allow: 0, ask: 1, deny: 2 }
+
+//* Rule shape: { action, program?, args?, operators?, pattern?, reason }
+//*  program   – program name (or list) of a command segment, e.g. "rm"
+//*  args      – regex tested against the segment's arguments
+//*  operators – chaining operators used anywhere in the command, e.g. ["|", ";"]
+//*  pattern   – regex tested against the whole command line
+export const BUILTIN_RULES = [
+   {
+      action: 'deny',
+      program: ['sudo', 'su', 'doas'],
+      reason: 'Privilege escalation',
+   },
+   {
+      action: 'deny',
+      program: ['mkfs', 'dd', 'shutdown', 'reboot', 'halt'],
+      reason: 'System level command',
+   },
+   {
+      action: 'deny',
+      program: 'rm',
+      args: '(^|\\s)(/|~|\\$HOME)(\\s|$)',
+      reason: 'Removes the filesystem or home directory',
+   },
+   {
+      action: 'deny',
+      pattern: '(curl|wget)[^|]*\\|\\s*(sudo\\s+)?(sh|bash|zsh|node)\\b',
+      reason: 'Pipes a download into a shell',
+   },
+   {
+      action: 'deny',
+      program: 'git',
+      args: '\\bpush\\b.*(--force\\b|-f\\b)',
+      reason: 'Force push rewrites remote history',
+   },
+   {
+      action: 'ask',
+      program: 'rm',
+      args: '(^|\\s)-\\w*[rf]',
+      reason: 'Recursive / forced delete',
+   },
+   {
+      action: 'ask',
+      program: 'git',
+      args: '\\b(push|reset\\s+--hard|clean|checkout\\s+--|rebase)\\b',
+      reason: 'Changes git history or discards work',
+   },
+   {
+      action: 'ask',
+      program: ['npm', 'pnpm', 'yarn'],
+      args: '\\b(publish|unpublish|deprecate)\\b',
+      reason: 'Publishes to a registry',
+   },
+   {
+      action: 'ask',
+      program: ['chmod', 'chown', 'curl', 'wget', 'ssh', 'scp'],
+      reason: 'Permissions or network access',
+   },
+   {
+      action: 'ask',
+      program: 'node',
+      //* only node's own options, `node server.js -p 3000` passes -p to the script
+      args: '^\\s*(-\\S+\\s+)*(-[a-z]*[ep][a-z]*|--eval|--print)(=|\\s|$)',
+      reason: 'Runs inline code',
+   },
+   {
+      action: 'ask',
+      program: ['npx', 'bunx'],
+      reason: 'Downloads and runs a package',
+   },
+   {
+      action: 'ask',
+      program: ['npm', 'pnpm', 'yarn', 'bun'],
+      args: '^\\s*(exec|dlx|x)\\b',
+      reason: 'Downloads and runs a package',
+   },
+   { action: 'ask', operators: [';', '||', '&'], reason: 'Chained commands' },
+   { action: 'ask', pattern: '\\$\\(|`', reason: 'Command substitution' },
+   {
+      action: 'ask',
+      pattern: '(^|\\s)>{1,2}\\s*/',
+      reason: 'Redirects output to an absolute path',
+   },
+   {
+      action: 'allow',
+      program: ['npm', 'npx', 'pnpm', 'yarn', 'bun', 'node'],
+      reason: 'Package manager / node',
+   },
+   {
+      action: 'allow',
+      program: ['git'],
+      args: '^\\s*(init|status|add|commit|diff|log|branch|switch)\\b',
+      reason: 'Safe git command',
+   },
+   {
+      action: 'allow',
+      program: [
+         'ls',
+         'cat',
+         'echo',
+         'pwd',
+         'mkdir',
+         'touch',
+         'head',
+         'tail',
+         'grep',
+         'find',
+         'wc',
+         'which',
+         'cp',
+         'mv',
+      ],
+      reason: 'Read-only or local file command',
+   },
+]
+
+export class PolicyDeniedError extends Error {
+   constructor(command, decision) {
+      super(`Command denied by policy: ${decision.reason}`)
+      this.name = 'PolicyDeniedError'
+      this.code = 'POLICY_DENIED'
+      this.command = command
+      this.decision = decision
+   }
+
+   toJSON() {
+      return {
+         code: this.code,
+         message: this.message,
+         command: this.command,
+         rule: this.decision.rule,
+      }
+   }
+}
+
+//* splitCommand() – Split a command line on && || ; | & and newlines (quote aware).
+//* The shell runs every line, so a newline separates commands like ";" does.
+export function splitCommand(command) {
+   const segments = []
+   const operators = []
+   let current = ''
+   let quote = null
+
+   command = command.trim()
+   for (let i = 0; i < command.length; i++) {
+      const ch = command[i]
+      //* POSIX escapes: none inside '…', only \" \\ \$ \` inside "…"
+      if (quote) {
+         if (ch === quote) quote = null
+         else if (
+            quote === '"' &&
+            ch === '\\' &&
+            /["\\$`]/.test(command[i + 1])
+         ) {
+            current += ch + command[++i]
+            continue
+         }
+         current += ch
+         continue
+      }
+      //* backslash-newline continues the line
+      if (ch === '\\' && /[\r\n]/.test(command[i + 1] ?? '')) {
+         i += command.slice(i + 1, i + 3) === '\r\n' ? 2 : 1
+         current += ' '
+         continue
+      }
+      //* outside quotes a backslash keeps the next character literal: `\;` is no operator, `\"` opens no quote
+      if (ch === '\\' && i + 1 < command.length) {
+         current += ch + command[++i]
+         continue
+      }
+      if (ch === '"' || ch === "'") {
+         quote = ch
+         current += ch
+         continue
+      }
+      if (ch === '\n' || ch === '\r') {
+         if (current.trim()) {
+            operators.push(';')
+            segments.push(current.trim())
+         }
+         current = ''
+         continue
+      }
+
+      const two = command.slice(i, i + 2)
+      const op = ['&&', '||'].includes(two)
+         ? two
+         : [';', '|', '&'].includes(ch)
+           ? ch
+           : null
+      //* `2>&1` / `>&` are redirections, not the background operator
+      if (op === '&' && /[<>]$/.test(current)) {
+         current += ch
+         continue
+      }
+      if (op) {
+         operators.push(op)
+         segments.push(current.trim())
+         current = ''
+         i += op.length - 1
+         continue
+      }
+      current += ch
+   }
+   segments.push(current.trim())
+
+   return { segments: segments.filter(Boolean), operators }
+}
+
+//* parseSegment() – { program, args } skipping leading VAR=value assignments
+function parseSegment(segment) {
+   const tokens = segment.split(/\s+/).filter(Boolean)
+   while (tokens.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(tokens[0])) {
+      tokens.shift()
+   }
+   const program = path
+      .basename(tokens.shift() ?? '')
+      .replace(/^["']|["']$/g, '')
+   return { program, args: tokens.join(' ') }
+}
+
+function asList(value) {
+   return Array.isArray(value) ? value : [value]
+}
+
+function matchesSegment(rule, { program, args }) {
+   if (!rule.program) return false
+   if (!asList(rule.program).includes(program)) return false
+   return rule.args ? new RegExp(rule.args).test(args) : true
+}
+
+function matchesCommand(rule, command, operators) {
+   if (rule.program) return false
+   if (rule.operators && !operators.some((op) => rule.operators.includes(op))) {
+      return false
+   }
+   if (rule.pattern && !new RegExp(rule.pattern).test(command)) return false
+   return Boolean(rule.operators || rule.pattern)
+}
+
+function activeRules() {
+   const policy = config.policy ?? {}
+   const custom = policy.rules ?? []
+   return policy.builtinRules === false ? custom : [...custom, ...BUILTIN_RULES]
+}
+
+function describe(rule) {
+   return rule.program
+      ? `${asList(rule.program).join('|')}${rule.args ? ` /${rule.args}/` : ''}`
+      : rule.operators
+        ? `operators ${rule.operators.join(' ')}`
+        : `/${rule.pattern}/`
+}
+
+//* classifyCommand() – Most restrictive decision over every segment and command rule
+export function classifyCommand(command, rules = activeRules()) {
+   const fallback = config.policy?.default ?? 'ask'
+   const { segments, operators } = splitCommand(command)
+   const decisions = []
+
+   for (const segment of segments) {
+      const parsed = parseSegment(segment)
+      const matched = rules.filter((rule) => matchesSegment(rule, parsed))
+      if (matched.length) {
+         const rule = matched.reduce((a, b) =>
+            SEVERITY[b.action] > SEVERITY[a.action] ? b : a
+         )
+         decisions.push({
+            action: rule.action,
+            rule: describe(rule),
+            reason: rule.reason,
+         })
+      } else {
+         decisions.push({
+            action: fallback,
+            rule: 'default',
+            reason: `No rule for "${parsed.program}"`,
+         })
+      }
+   }
+
+   const commandRules = rules.filter((r) =>
+      matchesCommand(r, command, operators)
+   )
+   for (const rule of commandRules) {
+      decisions.push({
+         action: rule.action,
+         rule: describe(rule),
+         reason: rule.reason,
+      })
+   }
+
+   if (!decisions.length) {
+      return { action: 'allow', rule: 'empty', reason: 'Nothing to run' }
+   }
+   return decisions.reduce((a, b) =>
+      SEVERITY[b.action] > SEVERITY[a.action] ? b : a
+   )
+}
+
+//* logDecision() – Append one JSON line per decision to .agent/policy.log
+function logDecision(entry) {
+   const file = path.join(getWorkspaceRoot(), '.agent', 'policy.log')
+   try {
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.appendFileSync(
+         file,
+         JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n'
+      )
+   } catch (error) {
+      console.warn(
+         chalk.yellow('⚠️ Could not write policy log:'),
+         error.message
+      )
+   }
+}
+
+async function confirmCommand(command, decision) {
+   console.log('\n')
+   console.log(
+      chalk.bold.bgYellow.black(' ⚠️ Confirmation needed '),
+      chalk.yellow(decision.reason)
+   )
+   console.log(chalk.cyan(`   $ ${command}`))
+   return confirm('Run this command? [y/N] : ')
+}
+
+//* checkCommand() – Classify, confirm if needed, log, and throw PolicyDeniedError on refusal
+//* approvedBy – who already approved this exact command (e.g. the graph's approval
+//* node), so an "ask" rule does not prompt a second time; "deny" still wins
+export async function checkCommand(command, { approvedBy = null } = {}) {
+   const decision = classifyCommand(command)
+   let allowed = decision.action === 'allow'
+   let confirmedBy = null
+
+   if (decision.action === 'ask') {
+      if (approvedBy) {
+         allowed = true
+         confirmedBy = approvedBy
+      } else if (config.policy?.autoApprove) {
+         allowed = true
+         confirmedBy = 'auto'
+      } else {
+         allowed = await confirmCommand(command, decision)
+         confirmedBy = isAssumeYes() ? 'auto' : 'user'
+      }
+   }
+
+   logDecision({ command, ...decision, allowed, confirmedBy })
+
+   if (!allowed) {
+      console.log(
+         chalk.red('⛔ Blocked:'),
+         chalk.cyan(command),
+         chalk.gray(`(${decision.reason})`)
+      )
+      throw new PolicyDeniedError(command, {
+         ...decision,
+         reason: decision.action === 'ask' ? 'User declined' : decision.reason,
+      })
+   }
+   return decision
+}
@@ -0,0 +1,256 @@
+import { spawn } from 'node:child_process'
+import chalk from 'chalk'
+import ora from 'ora'
+import { config } from './config.mjs'
+import { createRingBuffer, killTree, stripAnsi } from './shell.mjs'
+import { currentSignal } from './cancel.mjs'
+import { splitCommand } from './policy.mjs'
+
+//? Background processes – dev servers and watchers run beside the agent loop,
+//? the model starts them, waits for them to be ready, reads their logs and stops them
+
+const SETTINGS = config.processes
+
+//* Output that means a dev server / watcher is up, config processes.readyPatterns come first
+const READY_PATTERNS = [
+   /Local:\s+https?:\/\/\S+/i,
+   /ready in \d+/i,
+   /compiled successfully/i,
+   /webpack compiled/i,
+   /listening on/i,
+   /server (is )?running/i,
+   /watching for (file )?changes/i,
+   /started server on/i,
+]
+
+//* Commands that never exit on their own, `shell` hands them to startProcess()
+const LONG_RUNNING = [
+   /^(npm|pnpm|yarn|bun)\s+(run\s+)?(dev|start|serve|preview|watch)\b/,
+   /^(npx\s+)?(vite|next\s+dev|nodemon|serve|http-server|live-server)\b(?!.*\bbuild\b)/,
+   /\s--watch\b/,
+]
+
+const URL_PATTERN =
+   /https?:\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1?\]|[\w.-]+):\d+[^\s]*/
+
+//* name -> { name, command, cwd, child, pid, output, status, exitCode, url, startedAt }
+const processes = new Map()
+let cleanupRegistered = false
+
+//* longRunningSegment() – The segment that never exits, `cd app && npm run dev` counts too
+function longRunningSegment(command) {
+   return splitCommand(command).segments.find((segment) =>
+      LONG_RUNNING.some((pattern) => pattern.test(segment))
+   )
+}
+
+export function looksLongRunning(command) {
+   return Boolean(longRunningSegment(command))
+}
+
+function readyPatterns(ready) {
+   const custom = [ready, ...(SETTINGS.readyPatterns ?? [])]
+      .filter(Boolean)
+      .map((p) => new RegExp(p, 'i'))
+   return [...custom, ...READY_PATTERNS]
+}
+
+//* processName() – "npm run dev" -> "dev", "cd app && vite --port 3000" -> "vite", unique
+function processName(command, name) {
+   const base =
+      name ||
+      (longRunningSegment(command) ?? command)
+         .trim()
+         .replace(/^(npx|npm|pnpm|yarn|bun)\s+(run\s+)?/, '')
+         .split(/\s+/)[0]
+         .replace(/[^\w.-]/g, '') ||
+      'process'
+   let unique = base
+   for (let i = 2; processes.get(unique)?.status === 'running'; i++) {
+      unique = `${base}-${i}`
+   }
+   return unique
+}
+
+//* stopAll() – Synchronous so it can run from the process 'exit' event
+export function stopAll() {
+   for (const proc of processes.values()) {
+      if (proc.status === 'running') killTree(proc.child)
+   }
+}
+
+//* servers must not outlive the agent, also when the terminal closes or it is killed
+function registerCleanup() {
+   if (cleanupRegistered) return
+   cleanupRegistered = true
+   process.on('exit', stopAll)
+   for (const [signal, code] of [
+      ['SIGTERM', 143],
+      ['SIGHUP', 129],
+   ]) {
+      process.once(signal, () => process.exit(code))
+   }
+}
+
+//* startProcess() – Resolves once the output matches a ready pattern, the process exits,
+//* or processes.readyTimeoutMs passes (it keeps running in that case)
+export function startProcess(command, { cwd, name, ready } = {}) {
+   registerCleanup()
+   const procName = processName(command, name)
+   const spinner = ora(chalk.cyan(`Starting ${procName}: ${command}`)).start()
+
+   const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, FORCE_COLOR: '0', BROWSER: 'none' },
+   })
+   const proc = {
+      name: procName,
+      command,
+      cwd,
+      child,
+      pid: child.pid,
+      output: createRingBuffer(SETTINGS.logChars),
+      status: 'running',
+      exitCode: null,
+      url: null,
+      startedAt: Date.now(),
+   }
+   processes.set(procName, proc)
+
+   const patterns = readyPatterns(ready)
+
+   return new Promise((resolve) => {
+      let settled = false
+      function settle(state) {
+         if (settled) return
+         settled = true
+         clearTimeout(timer)
+         if (state === 'ready') {
+            spinner.succeed(
+               chalk.bold.greenBright(`${procName} is ready`) +
+                  (proc.url ? chalk.blue(` ${proc.url}`) : '')
+            )
+         } else if (state === 'cancelled') {
+            killTree(child)
+            spinner.warn(chalk.yellow(`${procName} start cancelled`))
+         } else if (state === 'exited') {
+            spinner.fail(
+               chalk.red(`${procName} exited with code ${proc.exitCode}`)
+            )
+         } else {
+            spinner.warn(
+               chalk.yellow(
+                  `${procName} is running but not ready after ${SETTINGS.readyTimeoutMs / 1000}s`
+               )
+            )
+         }
+         resolve({ ...describe(proc), state })
+      }
+
+      function onData(data) {
+         const chunk = stripAnsi(data.toString())
+         proc.output.push(chunk)
+         proc.url ??= chunk.match(URL_PATTERN)?.[0] ?? null
+         if (patterns.some((p) => p.test(chunk))) {
+            //* the URL is often printed a line after the ready message
+            setTimeout(() => settle('ready'), proc.url ? 0 : 300)
+         }
+      }
+      child.stdout.on('data', onData)
+      child.stderr.on('data', onData)
+
+      child.on('error', (error) => {
+         proc.output.push(`\n${error.message}`)
+      })
+      child.on('close', (code, signal) => {
+         proc.status = 'exited'
+         proc.exitCode = code ?? signal
+         settle('exited')
+      })
+
+      const timer = setTimeout(() => settle('timeout'), SETTINGS.readyTimeoutMs)
+      //* Ctrl+C while waiting for readiness stops the half-started process
+      const abort = currentSignal()
+      if (abort?.aborted) settle('cancelled')
+      else
+         abort?.addEventListener('abort', () => settle('cancelled'), {
+            once: true,
+         })
+   })
+}
+
+function describe(proc) {
+   return {
+      name: proc.name,
+      pid: proc.pid,
+      command: proc.command,
+      status: proc.status,
+      exitCode: proc.exitCode,
+      url: proc.url,
+      uptimeMs: Date.now() - proc.startedAt,
+   }
+}
+
+function findProcess(name) {
+   const proc = processes.get(String(name ?? '').trim())
+   if (!proc) {
+      const known = [...processes.keys()].join(', ') || 'none'
+      throw new Error(`No background process "${name}" (known: ${known})`)
+   }
+   return proc
+}
+
+//* stopProcess() – SIGTERM the whole group, SIGKILL whatever is left after 5s
+export function stopProcess(name) {
+   const proc = findProcess(name)
+   if (proc.status !== 'running') return Promise.resolve(describe(proc))
+
+   return new Promise((resolve) => {
+      const force = setTimeout(() => killTree(proc.child, 'SIGKILL'), 5000)
+      proc.child.once('close', () => {
+         clearTimeout(force)
+         console.log(chalk.yellow('🛑 Stopped:'), chalk.cyan(proc.name))
+         resolve(describe(proc))
+      })
+      killTree(proc.child)
+   })
+}
+
+//* processOutput() – Last `lines` lines of a process's output
+export function processOutput(name, lines = 50) {
+   const proc = findProcess(name)
+   return proc.output
+      .toString()
+      .replace(/\n$/, '')
+      .split('\n')
+      .slice(-lines)
+      .join('\n')
+}
+
+export function processLogs(name, lines = 50) {
+   const proc = findProcess(name)
+   const text = processOutput(name, lines)
+   console.log(chalk.bold.green(`📜 Logs of ${proc.name}:`))
+   console.log(chalk.gray(text))
+   return text
+}
+
+export function listProcesses() {
+   const list = [...processes.values()].map(describe)
+   if (!list.length) console.log(chalk.gray('No background processes.'))
+   list.forEach((p) =>
+      console.log(
+         p.status === 'running' ? chalk.green('●') : chalk.gray('○'),
+         chalk.cyan(p.name.padEnd(12)),
+         chalk.gray(`pid ${p.pid}`),
+         p.status === 'running'
+            ? chalk.blue(p.url ?? '')
+            : `exit ${p.exitCode}`,
+         chalk.gray(p.command)
+      )
+   )
+   return list
+}
@@ -0,0 +1,289 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import {
+   readJson,
+   findProjectRoot,
+   installedVersion,
+   detectPackageManager,
+} from './packages.mjs'
+
+//? Project scanner – what the agent knows about the directory it works in: framework,
+//? language, package manager, scripts, dependencies and the source layout.
+//? Scanned at startup, after every `cd` and before every prompt, shown to the model as
+//? the "Project" section of the system prompt.
+
+const SETTINGS = config.project
+
+//* first match wins, checked against dependencies and config files
+const FRAMEWORKS = [
+   { name: 'Next.js', deps: ['next'], files: ['next.config.'] },
+   { name: 'Remix', deps: ['@remix-run/react'], files: ['remix.config.'] },
+   { name: 'Gatsby', deps: ['gatsby'], files: ['gatsby-config.'] },
+   { name: 'Astro', deps: ['astro'], files: ['astro.config.'] },
+   { name: 'Expo', deps: ['expo'], files: [] },
+   { name: 'React Native', deps: ['react-native'], files: [] },
+   { name: 'Vite', deps: ['vite'], files: ['vite.config.'] },
+   { name: 'Create React App', deps: ['react-scripts'], files: [] },
+   { name: 'Parcel', deps: ['parcel'], files: [] },
+   { name: 'Webpack', deps: ['webpack'], files: ['webpack.config.'] },
+]
+
+const STYLING = [
+   { name: 'Tailwind CSS', deps: ['tailwindcss'], files: ['tailwind.config.'] },
+   { name: 'PostCSS', deps: ['postcss'], files: ['postcss.config.'] },
+   { name: 'Sass', deps: ['sass', 'node-sass'], files: [] },
+   { name: 'styled-components', deps: ['styled-components'], files: [] },
+   { name: 'Emotion', deps: ['@emotion/react'], files: [] },
+   { name: 'MUI', deps: ['@mui/material'], files: [] },
+]
+
+const TOOLING = [
+   { name: 'ESLint', deps: ['eslint'], files: ['eslint.config.', '.eslintrc'] },
+   { name: 'Prettier', deps: ['prettier'], files: ['.prettierrc'] },
+   { name: 'Vitest', deps: ['vitest'], files: ['vitest.config.'] },
+   { name: 'Jest', deps: ['jest'], files: ['jest.config.'] },
+   { name: 'Playwright', deps: ['@playwright/test'], files: [] },
+   {
+      name: 'Storybook',
+      deps: ['storybook', '@storybook/react'],
+      files: ['.storybook'],
+   },
+   { name: 'Testing Library', deps: ['@testing-library/react'], files: [] },
+   {
+      name: 'React Router',
+      deps: ['react-router-dom', 'react-router'],
+      files: [],
+   },
+   { name: 'Redux', deps: ['@reduxjs/toolkit', 'redux'], files: [] },
+]
+
+//* never listed in the layout, and never descended into
+const IGNORED_DIRS = new Set([
+   'node_modules',
+   '.git',
+   '.agent',
+   'dist',
+   'build',
+   '.next',
+   '.cache',
+   'coverage',
+   '.turbo',
+   '.vercel',
+])
+
+//* { dir, profile, text } of the last scan
+let current = null
+
+function listDir(dir) {
+   try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+   } catch {
+      return []
+   }
+}
+
+//* detect() – The entries of `table` whose dependency or config file is present
+function detect(table, deps, files) {
+   return table.filter(
+      (entry) =>
+         entry.deps.some((d) => deps[d]) ||
+         entry.files.some((prefix) => files.some((f) => f.startsWith(prefix)))
+   )
+}
+
+//* sourceTree() – Directory layout down to project.treeDepth, at most project.treeEntries lines
+function sourceTree(root) {
+   const lines = []
+   let hidden = 0
+
+   function walk(dir, depth) {
+      const entries = listDir(dir)
+         .filter((e) => !IGNORED_DIRS.has(e.name) && e.name !== '.DS_Store')
+         .sort(
+            (a, b) =>
+               Number(b.isDirectory()) - Number(a.isDirectory()) ||
+               a.name.localeCompare(b.name)
+         )
+      for (const entry of entries) {
+         if (lines.length >= SETTINGS.treeEntries) {
+            hidden++
+            continue
+         }
+         const indent = '  '.repeat(depth)
+         if (!entry.isDirectory()) {
+            lines.push(`${indent}${entry.name}`)
+            continue
+         }
+         const child = path.join(dir, entry.name)
+         if (depth + 1 < SETTINGS.treeDepth) {
+            lines.push(`${indent}${entry.name}/`)
+            walk(child, depth + 1)
+         } else {
+            const count = listDir(child).length
+            lines.push(
+               `${indent}${entry.name}/ (${count} ${count === 1 ? 'entry' : 'entries'})`
+            )
+         }
+      }
+   }
+
+   walk(root, 0)
+   if (hidden) lines.push(`... ${hidden} more`)
+   return lines
+}
+
+//* dependencyList() – name -> { wanted, installed }, installed is null when missing
+function dependencyList(root, deps = {}) {
+   return Object.entries(deps).map(([name, wanted]) => ({
+      name,
+      wanted,
+      installed: installedVersion(root, name),
+   }))
+}
+
+//* scanProject() – Profile of the project `dir` belongs to, { found: false } without a package.json
+export function scanProject(dir) {
+   const root = findProjectRoot(dir)
+   if (!root) {
+      return {
+         found: false,
+         dir,
+         tree: sourceTree(dir),
+      }
+   }
+
+   const pkg = readJson(path.join(root, 'package.json')) ?? {}
+   const files = listDir(root).map((e) => e.name)
+   const deps = { ...pkg.dependencies, ...pkg.devDependencies }
+   const version = (name) =>
+      deps[name] ? (installedVersion(root, name) ?? deps[name]) : null
+
+   const framework = detect(FRAMEWORKS, deps, files)[0] ?? null
+   const typescript =
+      files.includes('tsconfig.json') || Boolean(deps.typescript)
+
+   return {
+      found: true,
+      dir,
+      root,
+      name: pkg.name ?? path.basename(root),
+      moduleType: pkg.type === 'module' ? 'ESM' : 'CommonJS',
+      framework: framework && {
+         name: framework.name,
+         version: version(framework.deps[0]),
+      },
+      react: version('react'),
+      language: typescript ? 'TypeScript' : 'JavaScript',
+      tsconfig: files.includes('tsconfig.json'),
+      packageManager: detectPackageManager(root),
+      styling: detect(STYLING, deps, files).map((s) => ({
+         name: s.name,
+         version: version(s.deps.find((d) => deps[d]) ?? s.deps[0]),
+         config:
+            files.find((f) => s.files.some((p) => f.startsWith(p))) ?? null,
+      })),
+      tooling: detect(TOOLING, deps, files).map((t) => t.name),
+      scripts: pkg.scripts ?? {},
+      dependencies: dependencyList(root, pkg.dependencies),
+      devDependencies: dependencyList(root, pkg.devDependencies),
+      installed: fs.existsSync(path.join(root, 'node_modules')),
+      tree: sourceTree(root),
+   }
+}
+
+function relative(dir) {
+   return path.relative(getWorkspaceRoot(), dir) || '.'
+}
+
+function withVersion(name, version) {
+   return version ? `${name} ${version}` : name
+}
+
+function describeDeps(list) {
+   const shown = list
+      .slice(0, SETTINGS.dependencies)
+      .map((d) =>
+         d.installed
+            ? `${d.name}@${d.installed}`
+            : `${d.name}@${d.wanted} (not installed)`
+      )
+   const more = list.length - shown.length
+   return shown.join(', ') + (more > 0 ? `, ... ${more} more` : '') || 'none'
+}
+
+//* formatProfile() – Compact text for the system prompt and the `cd` observation
+export function formatProfile(profile) {
+   if (!profile.found) {
+      return [
+         `No package.json in ${relative(profile.dir)} or above it (not a JS project yet).`,
+         `- Contents:${profile.tree.length ? '' : ' empty'}`,
+         ...profile.tree.map((line) => `    ${line}`),
+      ].join('\n')
+   }
+
+   const stack = [
+      profile.framework &&
+         withVersion(profile.framework.name, profile.framework.version),
+      profile.react && withVersion('React', profile.react),
+   ].filter(Boolean)
+   const pm = profile.packageManager
+   const scripts = Object.entries(profile.scripts)
+
+   return [
+      `Project "${profile.name}" in ${relative(profile.root)}` +
+         (profile.dir !== profile.root
+            ? ` (working directory: ${relative(profile.dir)})`
+            : ''),
+      `- Framework: ${stack.join(' + ') || 'none detected'}`,
+      `- Language: ${profile.language}${profile.tsconfig ? ' (tsconfig.json)' : ''}, ${profile.moduleType}`,
+      `- Package manager: ${pm.name}${pm.lockfile ? ` (${pm.lockfile})` : ' (no lockfile)'}` +
+         (profile.installed ? '' : ', dependencies not installed yet'),
+      profile.styling.length &&
+         `- Styling: ${profile.styling
+            .map(
+               (s) =>
+                  withVersion(s.name, s.version) +
+                  (s.config ? ` (${s.config})` : '')
+            )
+            .join(', ')}`,
+      profile.tooling.length && `- Tooling: ${profile.tooling.join(', ')}`,
+      `- Scripts: ${scripts.map(([name, cmd]) => `${name}: ${cmd}`).join(' | ') || 'none'}`,
+      `- Dependencies: ${describeDeps(profile.dependencies)}`,
+      `- Dev dependencies: ${describeDeps(profile.devDependencies)}`,
+      `- Layout:`,
+      ...profile.tree.map((line) => `    ${line}`),
+   ]
+      .filter(Boolean)
+      .join('\n')
+}
+
+//* refreshProject() – Rescan `dir`, logs a one-line summary when the project changed
+export function refreshProject(dir) {
+   if (!SETTINGS.scan) return null
+   const profile = scanProject(dir)
+   const text = formatProfile(profile)
+   if (current?.text !== text) {
+      console.log(chalk.gray(`📦 ${summaryLine(profile)}`))
+   }
+   current = { dir, profile, text }
+   return current
+}
+
+//* projectContext() – The last scan as text, null when scanning is off
+export function projectContext() {
+   return current?.text ?? null
+}
+
+function summaryLine(profile) {
+   if (!profile.found) return `No project in ${relative(profile.dir)}`
+   const parts = [
+      profile.framework?.name ?? (profile.react ? 'React' : null),
+      profile.language,
+      profile.packageManager.name,
+      ...profile.styling.map((s) => s.name),
+   ].filter(Boolean)
+   return `Project ${profile.name}: ${parts.join(', ')}`
+}
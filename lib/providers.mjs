@@ -0,0 +1,234 @@
+import OpenAI, { AzureOpenAI } from 'openai'
+import fs from 'fs'
+import path from 'path'
+import { deepMerge } from './config.mjs'
+import { currentSignal, CancelledError } from './cancel.mjs'
+import { traceModelCall } from './tracing.mjs'
+
+//? LLM providers – every backend is driven through the OpenAI-compatible chat API
+
+//* Built-in presets, any of them can be overridden under "providers" in agent.config.json.
+//* capabilities.jsonMode → response_format: json_object is sent
+//* capabilities.tools    → native tool calling is available
+export const PROVIDER_PRESETS = {
+   openai: {
+      baseURL: undefined,
+      apiKeyEnv: 'OPENAI_API_KEY',
+      model: 'gpt-4o-mini',
+      temperature: 0.2,
+      capabilities: { jsonMode: true, tools: true },
+   },
+   gemini: {
+      baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai/',
+      apiKeyEnv: 'GEMINI_API_KEY',
+      model: 'gemini-2.0-flash',
+      temperature: null,
+      capabilities: { jsonMode: true, tools: true },
+   },
+   azure: {
+      endpointEnv: 'AZURE_OPENAI_ENDPOINT',
+      apiKeyEnv: 'AZURE_OPENAI_API_KEY',
+      apiVersion: '2024-10-21',
+      deployment: null,
+      model: 'gpt-4o-mini',
+      temperature: 0.2,
+      capabilities: { jsonMode: true, tools: true },
+   },
+   ollama: {
+      baseURL: 'http://localhost:11434/v1',
+      apiKeyEnv: null,
+      model: 'llama3.1',
+      temperature: 0.2,
+      capabilities: { jsonMode: true, tools: false },
+   },
+   //* Any other OpenAI-compatible server (LM Studio, llama.cpp, vLLM, ...)
+   local: {
+      baseURL: 'http://localhost:1234/v1',
+      apiKeyEnv: null,
+      model: 'local-model',
+      temperature: 0.2,
+      capabilities: { jsonMode: false, tools: false },
+   },
+   mock: {
+      model: 'mock',
+      capabilities: { jsonMode: true, tools: true },
+   },
+}
+
+//* resolveProviderSettings() – Preset + config file section + top level overrides
+export function resolveProviderSettings(config) {
+   const name = config.provider
+   const preset = PROVIDER_PRESETS[name] ?? PROVIDER_PRESETS.local
+   if (!PROVIDER_PRESETS[name] && !config.providers?.[name]) {
+      throw new Error(
+         `Unknown provider "${name}". Use one of ${Object.keys(
+            PROVIDER_PRESETS
+         ).join(', ')} or declare it under "providers" in agent.config.json`
+      )
+   }
+
+   const settings = deepMerge(preset, config.providers?.[name])
+   if (config.model) settings.model = config.model
+   if (config.temperature !== null && config.temperature !== undefined) {
+      settings.temperature = config.temperature
+   }
+   if (process.env.AGENT_BASE_URL) settings.baseURL = process.env.AGENT_BASE_URL
+   return { name, ...settings }
+}
+
+function apiKeyFrom(settings) {
+   if (settings.apiKey) return settings.apiKey
+   if (!settings.apiKeyEnv) return 'not-needed'
+   const key = process.env[settings.apiKeyEnv]
+   if (!key) {
+      throw new Error(
+         `Provider "${settings.name}" needs the ${settings.apiKeyEnv} environment variable`
+      )
+   }
+   return key
+}
+
+function createClient(settings) {
+   if (settings.name === 'azure') {
+      return new AzureOpenAI({
+         apiKey: apiKeyFrom(settings),
+         endpoint: settings.endpoint ?? process.env[settings.endpointEnv],
+         apiVersion: settings.apiVersion,
+         deployment: settings.deployment ?? settings.model,
+      })
+   }
+   return new OpenAI({
+      apiKey: apiKeyFrom(settings),
+      baseURL: settings.baseURL,
+   })
+}
+
+//* loadMockScript() – [ "raw text" | { step object } | { message: { ... } } ]
+function loadMockScript(file) {
+   if (!file)
+      throw new Error('The mock provider needs mock.script / AGENT_MOCK_SCRIPT')
+   const data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+   return Array.isArray(data) ? data : (data.responses ?? [])
+}
+
+function abortableDelay(ms, signal) {
+   return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms)
+      signal?.addEventListener(
+         'abort',
+         () => {
+            clearTimeout(timer)
+            reject(new CancelledError())
+         },
+         { once: true }
+      )
+   })
+}
+
+//* Mock client – replays scripted responses in order, for fully offline runs
+//* delayMs simulates latency, the wait is abortable like a real request
+function createMockClient(scriptFile, delayMs = 0) {
+   const script = loadMockScript(scriptFile)
+   let index = 0
+
+   function nextMessage() {
+      const entry = script[index++]
+      if (entry === undefined) {
+         return {
+            role: 'assistant',
+            content: JSON.stringify({
+               step: 'output',
+               content: 'Mock script exhausted',
+            }),
+         }
+      }
+      if (entry?.message) return { role: 'assistant', ...entry.message }
+      return {
+         role: 'assistant',
+         content: typeof entry === 'string' ? entry : JSON.stringify(entry),
+      }
+   }
+
+   return {
+      chat: {
+         completions: {
+            create: async (params, options) => {
+               if (delayMs) await abortableDelay(delayMs, options?.signal)
+               if (options?.signal?.aborted) throw new CancelledError()
+               return {
+                  id: `mock-${index}`,
+                  model: 'mock',
+                  choices: [
+                     {
+                        index: 0,
+                        message: nextMessage(),
+                        finish_reason: 'stop',
+                     },
+                  ],
+                  usage: {
+                     prompt_tokens: 0,
+                     completion_tokens: 0,
+                     total_tokens: 0,
+                  },
+               }
+            },
+         },
+      },
+   }
+}
+
+//* createProvider() – { name, model, capabilities, createCompletion, complete, completeWithTools }
+export function createProvider(config) {
+   const settings = resolveProviderSettings(config)
+   const client =
+      settings.name === 'mock'
+         ? createMockClient(config.mock?.script, config.mock?.delayMs)
+         : createClient(settings)
+
+   //* Same shape as openai.chat.completions.create, with provider defaults filled in
+   async function createCompletion(params, options) {
+      const request = { model: settings.model, ...params }
+      if (
+         request.temperature === undefined &&
+         settings.temperature !== null &&
+         settings.temperature !== undefined
+      ) {
+         request.temperature = settings.temperature
+      }
+      if (!settings.capabilities.jsonMode) delete request.response_format
+      if (!settings.capabilities.tools) {
+         delete request.tools
+         delete request.tool_choice
+      }
+      return traceModelCall(settings, request, () =>
+         client.chat.completions.create(request, options)
+      )
+   }
+
+   //* complete() – Plain JSON-step call, resolves with the reply text
+   async function complete(messages) {
+      const response = await createCompletion(
+         { response_format: { type: 'json_object' }, messages },
+         { signal: currentSignal() }
+      )
+      return response.choices[0].message.content
+   }
+
+   //* completeWithTools() – Native tool calling, resolves with the assistant message
+   async function completeWithTools(messages, tools) {
+      const response = await createCompletion(
+         { messages, tools, tool_choice: 'auto' },
+         { signal: currentSignal() }
+      )
+      return response.choices[0].message
+   }
+
+   return {
+      name: settings.name,
+      model: settings.model,
+      capabilities: settings.capabilities,
+      createCompletion,
+      complete,
+      completeWithTools,
+   }
+}
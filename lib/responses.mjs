@@ -0,0 +1,281 @@
+import chalk from 'chalk'
+import { toolNames } from './tools.mjs'
+import { config } from './config.mjs'
+import { traceParse } from './tracing.mjs'
+
+//? Response validation – turns raw model text into a queue of validated steps
+
+export const MAX_PARSE_ATTEMPTS = config.maxParseAttempts
+
+//* Schema per step: field -> { type, required, enum }
+//* type is one of 'string' | 'string[]' | 'string|string[]' | 'any'
+//* enum is a list or a function returning one (tool names are only known once plugins load)
+export const STEP_SCHEMAS = {
+   analyze: {
+      content: { type: 'string', required: true },
+   },
+   convert: {
+      PHASES: { type: 'string[]', required: true },
+      content: { type: 'string' },
+   },
+   action: {
+      function: { type: 'string', enum: ['executeTask'] },
+      fType: { type: 'string', required: true, enum: toolNames },
+      fInput: { type: 'string|string[]', required: true },
+      fContent: { type: 'any' },
+      content: { type: 'string' },
+   },
+   observe: {
+      content: { type: 'string' },
+   },
+   output: {
+      content: { type: 'string', required: true },
+      PackagesInstalled: { type: 'string[]' },
+      componentName: { type: 'string' },
+   },
+}
+
+export class ResponseValidationError extends Error {
+   constructor(message, raw) {
+      super(message)
+      this.name = 'ResponseValidationError'
+      this.raw = raw
+   }
+}
+
+//* stripFences() – The body of ```json ... ``` blocks. A reply wrapped in one fence is
+//* unwrapped as a whole, so fences inside its strings (a README in fContent) survive.
+//* Fences only count at the start of a line; inside a JSON string newlines are escaped.
+function stripFences(text) {
+   const whole = text.match(
+      /^\s*```(?:json|JSON)?[ \t]*\r?\n([\s\S]*)\r?\n```\s*$/
+   )
+   if (whole) return whole[1]
+   const fences = [
+      ...text.matchAll(/^```(?:json|JSON)?[ \t]*\r?\n([\s\S]*?)^```/gm),
+   ]
+   if (!fences.length) return text
+   return fences.map((m) => m[1]).join('\n')
+}
+
+//* scanObjects() – Find balanced top level {...} / [...] chunks, string aware
+function scanObjects(text) {
+   const chunks = []
+   let depth = 0
+   let start = -1
+   let inString = false
+   let escaped = false
+
+   for (let i = 0; i < text.length; i++) {
+      const ch = text[i]
+      if (inString) {
+         if (escaped) escaped = false
+         else if (ch === '\\') escaped = true
+         else if (ch === '"') inString = false
+         continue
+      }
+      if (ch === '"') {
+         if (depth > 0) inString = true
+      } else if (ch === '{' || ch === '[') {
+         if (depth === 0) start = i
+         depth++
+      } else if ((ch === '}' || ch === ']') && depth > 0) {
+         depth--
+         if (depth === 0) chunks.push(text.slice(start, i + 1))
+      }
+   }
+
+   if (depth !== 0) {
+      throw new Error('Unbalanced braces, the JSON looks truncated')
+   }
+   return chunks
+}
+
+function parseObjects(text) {
+   const chunks = scanObjects(text)
+   if (!chunks.length) throw new Error('No JSON object found in the response')
+
+   const objects = []
+   for (const chunk of chunks) {
+      let value
+      try {
+         value = JSON.parse(chunk)
+      } catch (error) {
+         throw new Error(
+            `Invalid JSON (${error.message}) in: ${chunk.slice(0, 200)}`
+         )
+      }
+      if (Array.isArray(value)) objects.push(...value)
+      else if (Array.isArray(value?.steps) && !value.step)
+         objects.push(...value.steps)
+      else objects.push(value)
+   }
+   return objects
+}
+
+//* extractJsonObjects() – Every JSON object found in the reply, in order.
+//* Accepts fenced blocks, concatenated objects, arrays and { "steps": [...] }.
+//* The raw text is tried first (the scan skips the fence lines around an object),
+//* the fence bodies only when that fails, e.g. for prose with braces around the JSON.
+export function extractJsonObjects(text) {
+   if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Empty response')
+   }
+
+   try {
+      return parseObjects(text)
+   } catch (error) {
+      const unfenced = stripFences(text)
+      if (unfenced === text) throw error
+      try {
+         return parseObjects(unfenced)
+      } catch {
+         throw error
+      }
+   }
+}
+
+function checkType(value, type) {
+   switch (type) {
+      case 'string':
+         return typeof value === 'string'
+      case 'string[]':
+         return (
+            Array.isArray(value) && value.every((v) => typeof v === 'string')
+         )
+      case 'string|string[]':
+         return checkType(value, 'string') || checkType(value, 'string[]')
+      default:
+         return true
+   }
+}
+
+//* validateStep() – List of schema errors for one step object (empty = valid)
+export function validateStep(step, index = 0) {
+   const where = `step #${index + 1}`
+   if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return [`${where} is not a JSON object`]
+   }
+
+   const schema = STEP_SCHEMAS[step.step]
+   if (!schema) {
+      return [
+         `${where} has unknown "step": ${JSON.stringify(step.step)}. ` +
+            `Expected one of ${Object.keys(STEP_SCHEMAS).join(', ')}`,
+      ]
+   }
+
+   const errors = []
+   for (const [field, rule] of Object.entries(schema)) {
+      const value = step[field]
+      if (value === undefined || value === null) {
+         if (rule.required) {
+            errors.push(`${where} ("${step.step}") is missing "${field}"`)
+         }
+         continue
+      }
+      if (!checkType(value, rule.type)) {
+         errors.push(
+            `${where} ("${step.step}") field "${field}" must be ${rule.type}`
+         )
+         continue
+      }
+      const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum
+      if (allowed && !allowed.includes(value)) {
+         errors.push(
+            `${where} ("${step.step}") field "${field}" must be one of ` +
+               `${allowed.join(', ')}, got ${JSON.stringify(value)}`
+         )
+      }
+   }
+   return errors
+}
+
+//* parseModelResponse() – Raw text -> validated steps, throws ResponseValidationError
+export function parseModelResponse(text) {
+   let steps
+   try {
+      steps = extractJsonObjects(text)
+   } catch (error) {
+      throw new ResponseValidationError(error.message, text)
+   }
+
+   const errors = steps.flatMap((step, i) => validateStep(step, i))
+   if (errors.length) {
+      throw new ResponseValidationError(errors.join('\n'), text)
+   }
+   return steps
+}
+
+//* correctionMessage() – Re-prompt telling the model exactly what was wrong
+export function correctionMessage(error, attempt, maxAttempts) {
+   return {
+      role: 'user',
+      content: JSON.stringify({
+         step: 'observe',
+         ok: false,
+         content:
+            `Your last reply could not be used: ${error.message}\n` +
+            'Reply again with valid JSON step object(s) only, following the Output JSON Format.',
+         attemptsLeft: maxAttempts - attempt,
+      }),
+   }
+}
+
+//* createStepReader() – Queue of pending steps backed by the model.
+//* complete(messages) must resolve with the raw text of the model's reply.
+export function createStepReader(complete, maxAttempts = MAX_PARSE_ATTEMPTS) {
+   let queue = []
+
+   async function next(messages) {
+      if (queue.length) return queue.shift()
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+         const raw = await complete(messages)
+         try {
+            queue = parseModelResponse(raw)
+            traceParse(queue)
+            return queue.shift()
+         } catch (error) {
+            if (!(error instanceof ResponseValidationError)) throw error
+            traceParse(null, error)
+            console.warn(
+               chalk.yellow(
+                  `⚠️ Invalid model response (${attempt}/${maxAttempts}):`
+               ),
+               chalk.gray(error.message)
+            )
+            if (attempt === maxAttempts) throw error
+            messages.push({ role: 'assistant', content: String(raw ?? '') })
+            messages.push(correctionMessage(error, attempt, maxAttempts))
+         }
+      }
+   }
+
+   //* Drop queued steps, e.g. after a failed action made the rest of the plan stale
+   function clear() {
+      queue = []
+   }
+
+   function pending() {
+      return queue.length
+   }
+
+   //* stepMessages() / resultMessage() – History entries, tool calls use other roles
+   function stepMessages(step) {
+      return [{ role: 'assistant', content: JSON.stringify(step) }]
+   }
+
+   function resultMessage(step, message) {
+      return message
+   }
+
+   return {
+      protocol: 'json',
+      next,
+      clear,
+      pending,
+      stepMessages,
+      resultMessage,
+   }
+}
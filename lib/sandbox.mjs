@@ -0,0 +1,89 @@
+import fs from 'fs'
+import path from 'path'
+import { config } from './config.mjs'
+
+//? Workspace jail – every file task must stay inside the configured project root
+
+export class WorkspaceEscapeError extends Error {
+   constructor(target, resolved, root, message) {
+      super(
+         message ??
+            `Path "${target}" resolves to ${resolved}, which is outside the workspace ${root}`
+      )
+      this.name = 'WorkspaceEscapeError'
+      this.code = 'WORKSPACE_ESCAPE'
+      this.target = target
+      this.resolved = resolved
+      this.root = root
+   }
+
+   //* Shape sent back to the model in the observation
+   toJSON() {
+      return {
+         code: this.code,
+         message: this.message,
+         path: this.target,
+         root: this.root,
+      }
+   }
+}
+
+//* realpathLoose() – realpath of the deepest existing ancestor + the missing tail,
+//* so symlinks are followed even for files that do not exist yet
+export function realpathLoose(target) {
+   let existing = target
+   const tail = []
+   while (!fs.existsSync(existing)) {
+      const parent = path.dirname(existing)
+      if (parent === existing) break
+      tail.unshift(path.basename(existing))
+      existing = parent
+   }
+   return path.join(fs.realpathSync(existing), ...tail)
+}
+
+function isInside(child, parent) {
+   const rel = path.relative(parent, child)
+   //* "..cache" is a name inside parent, only ".." itself or "../..." leaves it
+   const leaves = rel === '..' || rel.startsWith('..' + path.sep)
+   return rel === '' || (!leaves && !path.isAbsolute(rel))
+}
+
+const workspaceRoot = realpathLoose(
+   path.resolve(
+      process.env.AGENT_WORKSPACE_ROOT ||
+         config.workspace?.root ||
+         process.cwd()
+   )
+)
+
+const readAllowlist = (config.workspace?.allowRead ?? []).map((p) =>
+   realpathLoose(path.resolve(workspaceRoot, p))
+)
+
+export function getWorkspaceRoot() {
+   return workspaceRoot
+}
+
+//* resolveInWorkspace() – Resolve target against base and enforce the jail.
+//* access 'read' additionally accepts the allowRead list from agent.config.json.
+//* access 'remove' checks where the entry itself lives (its directory's realpath) but
+//* returns the lexical path, so removing a symlink removes the link, not its target.
+export function resolveInWorkspace(base, target, access = 'write') {
+   const lexical = path.resolve(base, String(target).trim())
+   if (access === 'remove') {
+      const entry = path.join(
+         realpathLoose(path.dirname(lexical)),
+         path.basename(lexical)
+      )
+      if (isInside(entry, workspaceRoot)) return lexical
+      throw new WorkspaceEscapeError(target, entry, workspaceRoot)
+   }
+   const resolved = realpathLoose(lexical)
+
+   if (isInside(resolved, workspaceRoot)) return resolved
+   if (access === 'read' && readAllowlist.some((p) => isInside(resolved, p))) {
+      return resolved
+   }
+   throw new WorkspaceEscapeError(target, resolved, workspaceRoot)
+}
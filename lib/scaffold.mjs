@@ -0,0 +1,360 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'node:url'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { scanProject } from './project.mjs'
+
+//? Scaffolding – the "scaffold" task creates files from a template library instead of the
+//? model writing the boilerplate. Built-in templates live in templates/, a project adds
+//? its own (or replaces a built-in one) in scaffold.templatesDir.
+
+const SETTINGS = config.scaffold
+const BUILTIN_DIR = fileURLToPath(new URL('../templates', import.meta.url))
+
+//* template: a directory with template.json and the files it renders
+//*    { description, dir: target directory, options: ["typescript", "styling", "test", "story"],
+//*      params: { name: description }, defaults: { param: value }, trim: [name suffixes],
+//*      files?: [{ from, to, when: "flag" | "!flag" | [...] }] } – without files every
+//*      other file is rendered to its own path, a trailing ".tmpl" dropped.
+//* placeholders: {{key}}, {{#flag}}...{{/flag}} (kept when truthy), {{^flag}}...{{/flag}}
+export const STYLING = ['none', 'css-modules', 'tailwind', 'styled-components']
+
+export class ScaffoldError extends Error {
+   constructor(message, code = 'SCAFFOLD_FAILED') {
+      super(message)
+      this.name = 'ScaffoldError'
+      this.code = code
+   }
+
+   toJSON() {
+      return { code: this.code, message: this.message }
+   }
+}
+
+//? Templates
+
+//* templateDirs() – Project templates first (the project root, then the workspace root),
+//* the built-in library last; the first template of a name wins
+function templateDirs(dir) {
+   const root = scanProject(dir).root
+   const local = [root, getWorkspaceRoot()]
+      .filter(Boolean)
+      .map((base) => path.join(base, SETTINGS.templatesDir))
+   return [
+      ...[...new Set(local)].map((d) => ({ dir: d, source: 'project' })),
+      { dir: BUILTIN_DIR, source: 'built-in' },
+   ]
+}
+
+function readTemplate(dir, source) {
+   const file = path.join(dir, 'template.json')
+   let spec
+   try {
+      spec = JSON.parse(fs.readFileSync(file, 'utf8'))
+   } catch (error) {
+      throw new ScaffoldError(
+         `Invalid template ${file}: ${error.message}`,
+         'INVALID_TEMPLATE'
+      )
+   }
+   return {
+      name: path.basename(dir),
+      source,
+      path: dir,
+      description: spec.description ?? '',
+      target: spec.dir ?? '.',
+      options: spec.options ?? [],
+      params: spec.params ?? {},
+      defaults: spec.defaults ?? {},
+      trim: spec.trim ?? [],
+      files: spec.files ?? null,
+   }
+}
+
+//* broken project templates are reported once, not on every prompt
+const reported = new Set()
+
+//* listTemplates() – Every template visible from `dir`, by name
+export function listTemplates(dir) {
+   const templates = new Map()
+   for (const { dir: base, source } of templateDirs(dir)) {
+      if (!fs.existsSync(base)) continue
+      const names = fs
+         .readdirSync(base, { withFileTypes: true })
+         .filter((e) => e.isDirectory())
+         .map((e) => e.name)
+         .sort()
+      for (const name of names) {
+         const templateDir = path.join(base, name)
+         if (templates.has(name)) continue
+         if (!fs.existsSync(path.join(templateDir, 'template.json'))) continue
+         try {
+            templates.set(name, readTemplate(templateDir, source))
+         } catch (error) {
+            if (!reported.has(templateDir)) {
+               reported.add(templateDir)
+               console.warn(
+                  chalk.yellow(`⚠️ Template ${name} skipped:`),
+                  chalk.gray(error.message)
+               )
+            }
+         }
+      }
+   }
+   return [...templates.values()]
+}
+
+export function findTemplate(name, dir) {
+   const templates = listTemplates(dir)
+   const template = templates.find((t) => t.name === name)
+   if (!template) {
+      throw new ScaffoldError(
+         `Unknown template "${name}", use one of: ${templates.map((t) => t.name).join(', ')}`,
+         'UNKNOWN_TEMPLATE'
+      )
+   }
+   return template
+}
+
+//? Rendering
+
+//* words() – "userCard", "user-card", "User card" -> ["user", "card"]
+function words(name) {
+   return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map((w) => w.toLowerCase())
+}
+
+const capitalize = (w) => w.charAt(0).toUpperCase() + w.slice(1)
+
+//* names() – The spellings of `name` templates use
+function names(name, trim) {
+   let base = name.trim()
+   for (const suffix of trim) {
+      if (base.length > suffix.length && base.endsWith(suffix)) {
+         base = base.slice(0, -suffix.length)
+      }
+   }
+   const parts = words(base)
+   if (!parts.length || /^\d/.test(parts[0])) {
+      throw new ScaffoldError(
+         `"${name}" is not a usable name, start it with a letter`,
+         'INVALID_OPTION'
+      )
+   }
+   const Name = parts.map(capitalize).join('')
+   const camelName = parts[0] + parts.slice(1).map(capitalize).join('')
+   return {
+      Name,
+      camelName,
+      kebabName: parts.join('-'),
+      hookName: parts[0] === 'use' ? camelName : `use${Name}`,
+      title: parts.map(capitalize).join(' '),
+   }
+}
+
+//* render() – Fills the placeholders; a section tag alone on its line takes the line with it.
+//* Throws MISSING_PARAM for {{key}} without a value.
+export function render(text, view) {
+   let out = text.replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm, '$1')
+   const section = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/
+   let match
+   while ((match = section.exec(out))) {
+      const [whole, kind, key, body] = match
+      const keep = Boolean(view[key]) === (kind === '#')
+      out =
+         out.slice(0, match.index) +
+         (keep ? body : '') +
+         out.slice(match.index + whole.length)
+   }
+
+   const missing = new Set()
+   out = out.replace(/\{\{(\w+)\}\}/g, (tag, key) => {
+      if (view[key] === undefined || view[key] === null) {
+         missing.add(key)
+         return tag
+      }
+      return String(view[key])
+   })
+   if (missing.size) {
+      throw new ScaffoldError(
+         `Missing template parameter(s): ${[...missing].join(', ')}`,
+         'MISSING_PARAM'
+      )
+   }
+   return out
+}
+
+//* tidy() – No leading blank lines, at most one blank line in a row, one final newline
+function tidy(content) {
+   return (
+      content
+         .replace(/^\s*\n/, '')
+         .replace(/\n{3,}/g, '\n\n')
+         .trimEnd() + '\n'
+   )
+}
+
+//* resolveOptions() – What the model asked for, the project's setup for the rest.
+//* Options a template does not list stay off.
+function resolveOptions(template, params, profile) {
+   const supports = (option) => template.options.includes(option)
+   const detected = (name) =>
+      profile.styling?.some((s) => s.name === name) ||
+      profile.tooling?.includes(name)
+
+   const styling = supports('styling')
+      ? (params.styling ??
+        (detected('Tailwind CSS')
+           ? 'tailwind'
+           : detected('styled-components')
+             ? 'styled-components'
+             : 'none'))
+      : 'none'
+   if (!STYLING.includes(styling)) {
+      throw new ScaffoldError(
+         `styling must be one of ${STYLING.join(', ')}`,
+         'INVALID_OPTION'
+      )
+   }
+   return {
+      typescript: params.typescript ?? profile.language === 'TypeScript',
+      styling,
+      test:
+         supports('test') &&
+         (params.test ?? (detected('Vitest') || detected('Jest'))),
+      story: supports('story') && (params.story ?? detected('Storybook')),
+      testRunner: detected('Jest') && !detected('Vitest') ? 'jest' : 'vitest',
+   }
+}
+
+function matchesWhen(when, view) {
+   return [when ?? []]
+      .flat()
+      .every((flag) =>
+         flag.startsWith('!') ? !view[flag.slice(1)] : Boolean(view[flag])
+      )
+}
+
+//* templateFiles() – [{ from, to, when }] of a template, listed or every file in it
+function templateFiles(template) {
+   if (template.files) return template.files
+   const files = []
+   const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+         const full = path.join(dir, entry.name)
+         if (entry.isDirectory()) walk(full)
+         else if (full !== path.join(template.path, 'template.json')) {
+            const from = path.relative(template.path, full)
+            files.push({ from, to: from.replace(/\.tmpl$/, '') })
+         }
+      }
+   }
+   walk(template.path)
+   return files
+}
+
+//* planScaffold() – { template, source, dir, options, files: [{ path, content }] } for
+//* `params` (name, dir, typescript, styling, test, story and the template's own ones).
+//* Nothing is written; default directories are relative to the project root.
+export function planScaffold(name, params, cwd) {
+   const template = findTemplate(name, cwd)
+   if (typeof params.name !== 'string' || !params.name.trim()) {
+      throw new ScaffoldError(
+         'scaffold needs a "name" parameter, e.g. { "name": "UserCard" }',
+         'MISSING_PARAM'
+      )
+   }
+   const profile = scanProject(cwd)
+   const options = resolveOptions(template, params, profile)
+   const root = profile.root ?? cwd
+
+   const flags = {
+      typescript: options.typescript,
+      javascript: !options.typescript,
+      ext: options.typescript ? 'ts' : 'js',
+      jsx: options.typescript ? 'tsx' : 'jsx',
+      cssModules: options.styling === 'css-modules',
+      tailwind: options.styling === 'tailwind',
+      styledComponents: options.styling === 'styled-components',
+      test: options.test,
+      story: options.story,
+      vitest: options.testRunner === 'vitest',
+      jest: options.testRunner === 'jest',
+      nextjs: profile.framework?.name === 'Next.js',
+      appDir: fs.existsSync(path.join(root, 'src', 'app')) ? 'src/app' : 'app',
+   }
+   const { Name, camelName, kebabName, hookName, title } = names(
+      params.name,
+      template.trim
+   )
+   const base = { title, ...flags, Name, camelName, kebabName, hookName }
+   const defaults = Object.fromEntries(
+      Object.entries(template.defaults).map(([key, value]) => [
+         key,
+         typeof value === 'string' ? render(value, base) : value,
+      ])
+   )
+   const view = {
+      ...base,
+      ...defaults,
+      ...params,
+      ...flags,
+      Name,
+      camelName,
+      kebabName,
+      hookName,
+   }
+
+   const dir = params.dir
+      ? path.resolve(cwd, params.dir)
+      : path.resolve(root, render(template.target, view))
+   const files = templateFiles(template)
+      .filter((file) => matchesWhen(file.when, view))
+      .map((file) => ({
+         path: path.join(dir, render(file.to, view)),
+         content: tidy(
+            render(
+               fs.readFileSync(path.join(template.path, file.from), 'utf8'),
+               view
+            )
+         ),
+      }))
+
+   return {
+      template: template.name,
+      source: template.source,
+      dir,
+      options: {
+         typescript: options.typescript,
+         styling: options.styling,
+         test: options.test,
+         story: options.story,
+      },
+      files,
+   }
+}
+
+//? System prompt
+
+//* templatesPromptSection() – One line per template visible from `dir`
+export function templatesPromptSection(dir) {
+   return listTemplates(dir)
+      .map((t) => {
+         const params = Object.entries(t.params)
+            .map(([key, description]) => `\`${key}\` (${description})`)
+            .join(', ')
+         return [
+            `- \`${t.name}\`${t.source === 'project' ? ' (project template)' : ''}: ${t.description}.`,
+            t.options.length && ` Options: ${t.options.join(', ')}.`,
+            params && ` Parameters: ${params}.`,
+         ]
+            .filter(Boolean)
+            .join('')
+      })
+      .join('\n')
+}
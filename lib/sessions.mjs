@@ -0,0 +1,212 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { getCurrentDir, setCurrentDir } from './tasks.mjs'
+
+//? Persistent sessions – message history, working directory and per-turn results on disk
+
+function sessionsDir() {
+   return path.join(getWorkspaceRoot(), '.agent', 'sessions')
+}
+
+function sessionFile(id) {
+   return path.join(sessionsDir(), `${id}.json`)
+}
+
+function newId() {
+   const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)
+   return `${stamp}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+//* createSession() – session.messages is the live array the agent loop pushes to
+export function createSession(messages, forkedFrom = null) {
+   return {
+      id: newId(),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      forkedFrom,
+      cwd: getCurrentDir(),
+      messages,
+      turns: [],
+   }
+}
+
+//* saveSession() – Synchronous on purpose, it also runs from the process 'exit' hook
+export function saveSession(session) {
+   if (!session.turns.length && session.messages.length <= 1) return
+   session.updatedAt = new Date().toISOString()
+   session.cwd = getCurrentDir()
+   fs.mkdirSync(sessionsDir(), { recursive: true })
+   fs.writeFileSync(sessionFile(session.id), JSON.stringify(session, null, 2))
+}
+
+//* recordTurn() – Remember where a prompt's messages start/end plus what it did
+export function recordTurn(session, prompt, run, messageStart) {
+   session.turns.push({
+      prompt,
+      status: run?.status ?? 'crashed',
+      messageStart,
+      messageEnd: session.messages.length,
+      cwd: getCurrentDir(),
+      actions: run?.actions ?? [],
+      output: run?.output ?? null,
+      trace: run?.trace ?? null,
+      at: new Date().toISOString(),
+   })
+   saveSession(session)
+}
+
+export function listSessions() {
+   if (!fs.existsSync(sessionsDir())) return []
+   return fs
+      .readdirSync(sessionsDir())
+      .filter((f) => f.endsWith('.json'))
+      .map((f) => {
+         try {
+            return JSON.parse(
+               fs.readFileSync(path.join(sessionsDir(), f), 'utf8')
+            )
+         } catch {
+            return null
+         }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+}
+
+//* loadSession() – Accepts a full id or a unique prefix
+export function loadSession(id) {
+   const matches = listSessions().filter((s) => s.id.startsWith(id))
+   if (!matches.length) throw new Error(`No session matching "${id}"`)
+   if (matches.length > 1) {
+      throw new Error(
+         `"${id}" matches ${matches.length} sessions, be more specific`
+      )
+   }
+   return matches[0]
+}
+
+//* restoreSession() – Load a stored session into the live message array and cwd
+export function restoreSession(stored, messages) {
+   //* keep today's system prompt, the stored one may be from an older version
+   const [system] = messages
+   messages.splice(0, messages.length, system, ...stored.messages.slice(1))
+   const session = { ...stored, messages }
+   if (fs.existsSync(stored.cwd)) setCurrentDir(stored.cwd)
+   return session
+}
+
+//* forkSession() – New session with the history up to and including turn #number
+export function forkSession(session, number, messages) {
+   const turn = session.turns[number - 1]
+   if (!turn) throw new Error(`Session ${session.id} has no turn #${number}`)
+
+   const [system] = messages
+   messages.splice(
+      0,
+      messages.length,
+      system,
+      ...session.messages.slice(1, turn.messageEnd)
+   )
+   const fork = createSession(messages, { id: session.id, turn: number })
+   fork.turns = session.turns.slice(0, number)
+   if (fs.existsSync(turn.cwd)) setCurrentDir(turn.cwd)
+   fork.cwd = getCurrentDir()
+   saveSession(fork)
+   return fork
+}
+
+export function printSessions(currentId) {
+   const sessions = listSessions()
+   if (!sessions.length) {
+      console.log(chalk.gray('No saved sessions.'))
+      return
+   }
+   sessions.forEach((s) => {
+      const first = s.turns[0]?.prompt ?? '(no prompts)'
+      console.log(
+         s.id === currentId ? chalk.bold.green('*') : ' ',
+         chalk.cyan(s.id),
+         chalk.gray(`${s.turns.length} turn(s), ${s.updatedAt}`),
+         first.length > 60 ? `${first.slice(0, 57)}...` : first,
+         s.forkedFrom
+            ? chalk.gray(
+                 `(fork of ${s.forkedFrom.id} @ turn ${s.forkedFrom.turn})`
+              )
+            : ''
+      )
+   })
+}
+
+export function printTurns(session) {
+   console.log(chalk.bold(`Session ${session.id}`), chalk.gray(session.cwd))
+   session.turns.forEach((t, i) => {
+      console.log(
+         chalk.bold(`${String(i + 1).padStart(3)}.`),
+         chalk.cyan(t.prompt),
+         t.status === 'success' ? chalk.green(t.status) : chalk.red(t.status),
+         chalk.gray(`${t.actions.length} action(s)`)
+      )
+   })
+}
+
+//* parseSessionCommand() – [command, arg] for the exact command forms, null for a prompt.
+//* "resume <id>" needs an id (prefix) of a stored session and "fork <n>" a turn number,
+//* so "resume the upload feature where we left off" still reaches the agent.
+function parseSessionCommand(prompt) {
+   const text = prompt.trim()
+   if (['sessions', 'session', 'resume', 'fork'].includes(text)) return [text]
+   const resume = text.match(/^resume\s+(\S+)$/)
+   if (resume && listSessions().some((s) => s.id.startsWith(resume[1]))) {
+      return ['resume', resume[1]]
+   }
+   const fork = text.match(/^fork\s+(\d+)$/)
+   if (fork) return ['fork', Number(fork[1])]
+   return null
+}
+
+//* handleSessionCommand() – "sessions" | "session" | "resume <id>" | "fork <turn>"
+//* Returns the session to continue with, or null when the input is not a command.
+export function handleSessionCommand(prompt, session) {
+   const parsed = parseSessionCommand(prompt)
+   if (!parsed) return null
+   const [command, arg] = parsed
+   try {
+      switch (command) {
+         case 'sessions':
+            printSessions(session.id)
+            return session
+         case 'session':
+            printTurns(session)
+            return session
+         case 'resume': {
+            if (!arg) throw new Error('Usage: resume <session id>')
+            saveSession(session)
+            const resumed = restoreSession(loadSession(arg), session.messages)
+            console.log(
+               chalk.bold.green('▶️  Resumed session'),
+               chalk.cyan(resumed.id),
+               chalk.gray(
+                  `(${resumed.turns.length} turns, cwd ${getCurrentDir()})`
+               )
+            )
+            return resumed
+         }
+         case 'fork': {
+            if (!arg) throw new Error('Usage: fork <turn number>')
+            saveSession(session)
+            const fork = forkSession(session, arg, session.messages)
+            console.log(
+               chalk.bold.green('🍴 Forked into session'),
+               chalk.cyan(fork.id),
+               chalk.gray(`at turn ${arg}`)
+            )
+            return fork
+         }
+      }
+   } catch (error) {
+      console.log(chalk.red('⚠️'), error.message)
+      return session
+   }
+}
@@ -0,0 +1,252 @@
+import { spawn } from 'node:child_process'
+import chalk from 'chalk'
+import ora from 'ora'
+import { config } from './config.mjs'
+import { currentSignal } from './cancel.mjs'
+
+//? Shell runner – spawn based, streams output live, bounded memory, timeouts and
+//? detection of commands that sit waiting on an interactive prompt
+
+const SETTINGS = config.shell
+
+//* Answers every run knows about, config shell.answers are tried first
+const BUILTIN_ANSWERS = [
+   { pattern: 'Ok to proceed\\?', answer: 'y', reason: 'npx install prompt' },
+   { pattern: 'Need to install the following packages', answer: 'y' },
+]
+
+//* Last line of output that looks like a question / selection waiting for a reply.
+//* Loose patterns only count when the line was left open (no trailing newline),
+//* which is where a prompt leaves the cursor.
+const PROMPT_PATTERNS = [
+   /[([]\s*y(\s*\/\s*n)?\s*[)\]]\s*$/i,
+   /[([]\s*n\s*\/\s*y\s*[)\]]\s*$/i,
+   /›/,
+   /❯/,
+   /[◆◇]/,
+   /Use arrow-keys/i,
+   /press enter/i,
+]
+//* A colon alone is not enough ("Compiled with warnings:"), it has to ask for something
+const OPEN_LINE_PATTERNS = [
+   /\?\s*$/,
+   /^\?\s/,
+   /:\s*\([^)]*\)\s*$/,
+   /^(enter|type|choose|select|pick)\b.*:\s*$/i,
+   /\b(password|passphrase|username|e-?mail|token|otp|name)\s*:\s*$/i,
+]
+
+export function stripAnsi(text) {
+   return String(text).replace(/\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07]*\x07/g, '')
+}
+
+//* createRingBuffer() – Keeps the last `limit` chars, counts what fell off the front
+export function createRingBuffer(limit = SETTINGS.bufferChars) {
+   let text = ''
+   let dropped = 0
+   return {
+      push(chunk) {
+         text += chunk
+         if (text.length > limit) {
+            dropped += text.length - limit
+            text = text.slice(text.length - limit)
+         }
+      },
+      tail(chars) {
+         return text.slice(-chars)
+      },
+      toString() {
+         return dropped ? `[${dropped} earlier chars dropped]\n${text}` : text
+      },
+   }
+}
+
+//* timeoutFor() – shell.timeouts [{ pattern, ms }] first match, else shell.timeoutMs
+export function timeoutFor(command) {
+   const rule = (SETTINGS.timeouts ?? []).find((t) =>
+      new RegExp(t.pattern).test(command)
+   )
+   return rule?.ms ?? SETTINGS.timeoutMs
+}
+
+function isPrompt(buffer) {
+   const line = lastLine(buffer)
+   if (!line) return false
+   if (PROMPT_PATTERNS.some((p) => p.test(line))) return true
+   const open = !/\n\s*$/.test(buffer.tail(50))
+   return open && OPEN_LINE_PATTERNS.some((p) => p.test(line))
+}
+
+function lastLine(buffer) {
+   const lines = stripAnsi(buffer.tail(2000))
+      .split(/\r?\n|\r/)
+      .map((l) => l.trim())
+      .filter(Boolean)
+   return lines.at(-1) ?? ''
+}
+
+function findAnswer(line) {
+   return [...(SETTINGS.answers ?? []), ...BUILTIN_ANSWERS].find((a) =>
+      new RegExp(a.pattern, 'i').test(line)
+   )
+}
+
+//* killTree() – The command runs in its own process group, signal all of it
+export function killTree(child, signal = 'SIGTERM') {
+   if (!child.pid || child.exitCode !== null) return
+   try {
+      process.kill(-child.pid, signal)
+   } catch {
+      try {
+         child.kill(signal)
+      } catch {
+         //* already gone
+      }
+   }
+}
+
+//* runCommand() – Never rejects; resolves
+//* { stdout, stderr, exitCode, signal, timedOut, waitingForInput, cancelled, prompt, durationMs }
+//* `abort` (default: the Ctrl+C signal of the running prompt) stops the command,
+//* `env` is added to the agent's own environment
+export function runCommand(
+   command,
+   {
+      cwd,
+      timeoutMs = timeoutFor(command),
+      abort = currentSignal(),
+      env = {},
+   } = {}
+) {
+   const spinner = ora(chalk.cyan(`Running: ${command}`)).start()
+   const stdout = createRingBuffer()
+   const stderr = createRingBuffer()
+   const combined = createRingBuffer(4000)
+   const startedAt = Date.now()
+   const answered = new Set()
+
+   const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, FORCE_COLOR: '0', ...env },
+   })
+
+   const outcome = {
+      timedOut: false,
+      waitingForInput: false,
+      cancelled: false,
+      prompt: null,
+   }
+   let lastOutputAt = Date.now()
+
+   //* live output is printed above the spinner, which keeps spinning below it.
+   //* Both go to stderr: stdout is reserved for results (cli.mjs --json).
+   function show(chunk, color) {
+      if (!SETTINGS.live) return
+      spinner.clear()
+      process.stderr.write(color(stripAnsi(chunk)))
+      if (spinner.isEnabled) spinner.render()
+   }
+
+   child.stdout.on('data', (data) => {
+      const chunk = data.toString()
+      stdout.push(chunk)
+      combined.push(chunk)
+      lastOutputAt = Date.now()
+      show(chunk, chalk.gray)
+   })
+   child.stderr.on('data', (data) => {
+      const chunk = data.toString()
+      stderr.push(chunk)
+      combined.push(chunk)
+      lastOutputAt = Date.now()
+      show(chunk, chalk.yellow)
+   })
+   child.stdin.on('error', () => {})
+
+   function stop(reason) {
+      Object.assign(outcome, reason)
+      killTree(child)
+      setTimeout(() => killTree(child, 'SIGKILL'), 3000).unref()
+   }
+
+   const timer = setTimeout(() => stop({ timedOut: true }), timeoutMs)
+   const cancel = () => stop({ cancelled: true })
+   if (abort?.aborted) cancel()
+   else abort?.addEventListener('abort', cancel, { once: true })
+
+   //* quiet output ending in something prompt-like means the command waits on stdin.
+   //* stdin stays open to answer prompts; a command that is quiet before printing
+   //* anything asked nothing, it gets EOF so `cat` / `sort` without a file finish.
+   const watcher = setInterval(() => {
+      if (Date.now() - lastOutputAt < SETTINGS.promptIdleMs) return
+      if (!combined.tail(1) && child.stdin.writable) child.stdin.end()
+      if (!isPrompt(combined)) return
+      const line = lastLine(combined)
+
+      const answer = findAnswer(line)
+      if (answer && !answered.has(line)) {
+         answered.add(line)
+         spinner.info(
+            chalk.yellow(`Answering "${line}" with "${answer.answer}"`)
+         )
+         spinner.start(chalk.cyan(`Running: ${command}`))
+         child.stdin.write(`${answer.answer}\n`)
+         lastOutputAt = Date.now()
+         return
+      }
+      stop({ waitingForInput: true, prompt: line })
+   }, 500)
+
+   return new Promise((resolve) => {
+      let done = false
+      function finish(exitCode, signal, spawnError) {
+         if (done) return
+         done = true
+         clearTimeout(timer)
+         clearInterval(watcher)
+         abort?.removeEventListener('abort', cancel)
+         const result = {
+            stdout: stripAnsi(stdout.toString()),
+            stderr: stripAnsi(stderr.toString()),
+            exitCode,
+            signal,
+            durationMs: Date.now() - startedAt,
+            ...outcome,
+         }
+
+         if (outcome.cancelled) {
+            result.exitCode = 130
+            result.stderr += '\nCommand was cancelled by the user (Ctrl+C).'
+            spinner.warn(chalk.yellow(`Cancelled: ${command}`))
+         } else if (outcome.timedOut) {
+            //* a command that handles SIGTERM may still exit 0, a timeout never succeeds
+            result.exitCode = exitCode || 124
+            result.stderr += `\nCommand timed out after ${timeoutMs / 1000}s and was stopped.`
+            spinner.fail(chalk.red(`Timed out: ${command}`))
+         } else if (outcome.waitingForInput) {
+            result.exitCode = exitCode || 1
+            result.stderr +=
+               `\nCommand was waiting for interactive input ("${outcome.prompt}") and was stopped. ` +
+               'Re-run it with non-interactive flags (e.g. --yes, --template react) ' +
+               'or add an answer under shell.answers in agent.config.json.'
+            spinner.fail(chalk.red(`Waiting for input: ${command}`))
+         } else if (spawnError) {
+            result.exitCode = 127
+            result.stderr += spawnError.message
+            spinner.fail(chalk.red(`Failed: ${command}`))
+         } else if (exitCode !== 0) {
+            result.exitCode = exitCode ?? 1
+            spinner.fail(chalk.red(`Failed: ${command}`))
+         } else {
+            spinner.succeed(chalk.bold.greenBright(`Success: ${command}`))
+         }
+         resolve(result)
+      }
+
+      child.on('error', (error) => finish(null, null, error))
+      child.on('close', (code, signal) => finish(code, signal))
+   })
+}
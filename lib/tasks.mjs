@@ -0,0 +1,959 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import {
+   getWorkspaceRoot,
+   resolveInWorkspace,
+   WorkspaceEscapeError,
+} from './sandbox.mjs'
+import { checkCommand, classifyCommand, PolicyDeniedError } from './policy.mjs'
+import {
+   isDryRun,
+   recordPlan,
+   overlayRead,
+   overlayWrite,
+   overlayRemove,
+   addVirtualDir,
+   isVirtualDir,
+} from './dryRun.mjs'
+import { snapshot } from './journal.mjs'
+import { runCommand } from './shell.mjs'
+import { CancelledError } from './cancel.mjs'
+import { traceTask } from './tracing.mjs'
+import { refreshProject } from './project.mjs'
+import {
+   findProjectRoot,
+   packageCommand,
+   packageList,
+   packageOptions,
+   parsePackageCommand,
+   snapshotDependencies,
+   diffDependencies,
+} from './packages.mjs'
+import {
+   startProcess,
+   stopProcess,
+   processOutput,
+   processLogs,
+   listProcesses,
+   looksLongRunning,
+} from './processes.mjs'
+import { applyEdits, isStructuredEdit, EditError } from './edits.mjs'
+import { diagnose, diagnoseFailure, printDiagnostics } from './diagnostics.mjs'
+import { planScaffold, ScaffoldError, STYLING } from './scaffold.mjs'
+import { createUnifiedDiff, colorDiff } from './diff.mjs'
+import {
+   registerTool,
+   getTool,
+   toolNames,
+   validateArgs,
+   loadToolPlugins,
+   ToolArgumentsError,
+} from './tools.mjs'
+
+//? Shared task layer used by both ReactAgent.mjs and ReactAgent_LGLS.mjs
+
+let currentDir = getWorkspaceRoot()
+
+export function getCurrentDir() {
+   return currentDir
+}
+
+export function setCurrentDir(dir) {
+   currentDir = dir
+}
+
+//* readText() / pathExists() – Disk access that sees the dry-run overlay first
+function readText(fullPath) {
+   if (isDryRun()) {
+      const { hit, content } = overlayRead(fullPath)
+      if (hit) return content
+   }
+   if (!fs.existsSync(fullPath) || fs.lstatSync(fullPath).isDirectory()) {
+      return null
+   }
+   return fs.readFileSync(fullPath, 'utf8')
+}
+
+function pathExists(fullPath) {
+   if (isDryRun()) {
+      const { hit, content } = overlayRead(fullPath)
+      if (hit) return content !== null
+      if (isVirtualDir(fullPath)) return true
+   }
+   return fs.existsSync(fullPath)
+}
+
+//? Functions Definations
+//* 1. Run shell commands (npm installs, git, etc.)
+//* Never rejects: a non-zero exit is resolved with its exit code and stderr so
+//* the agent can hand the failure back to the model instead of crashing.
+//* Output streams live and is kept in a bounded buffer, see lib/shell.mjs.
+export function runShellCommand(command) {
+   return runCommand(command, { cwd: currentDir })
+}
+
+//* 2. Write to a file (creates file and folders if needed)
+export function writeFile(targetPath, content) {
+   const fullPath = resolveInWorkspace(currentDir, targetPath)
+   if (isDryRun()) {
+      overlayWrite(fullPath, content)
+      recordPlan({ type: 'write', input: targetPath, content, cwd: currentDir })
+      return fullPath
+   }
+   snapshot(fullPath)
+   fs.mkdirSync(path.dirname(fullPath), { recursive: true })
+   fs.writeFileSync(fullPath, content, 'utf8')
+   console.log(chalk.bold.green('📄 File written:'), chalk.blue(fullPath))
+   return fullPath
+}
+
+//* 3. Read a file
+export function readFile(targetPath) {
+   const fullPath = resolveInWorkspace(currentDir, targetPath, 'read')
+   const content = readText(fullPath)
+   if (content !== null) {
+      console.log(
+         chalk.bold.green('📖 File content from:'),
+         chalk.blue(fullPath)
+      )
+      console.log(chalk.gray(content))
+      return content
+   } else {
+      console.warn(chalk.red('⚠️ File not found:'), chalk.cyan(fullPath))
+      return null
+   }
+}
+
+//* 4. Edit file (e.g., replace placeholder text, append/import, etc.)
+//* content is either the full new text, a (text) => text callback, or structured
+//* edits (search/replace, line ranges, anchors, unified diff) – see lib/edits.mjs
+export function editFile(targetPath, content) {
+   const fullPath = resolveInWorkspace(currentDir, targetPath)
+   if (pathExists(fullPath)) {
+      const original = readText(fullPath) ?? ''
+      const updated =
+         typeof content === 'function'
+            ? content(original)
+            : isStructuredEdit(content)
+              ? applyEdits(original, content)
+              : content
+      if (isDryRun()) {
+         overlayWrite(fullPath, updated)
+         recordPlan({
+            type: 'edit',
+            input: targetPath,
+            content,
+            cwd: currentDir,
+         })
+         return fullPath
+      }
+      snapshot(fullPath)
+      fs.writeFileSync(fullPath, updated, 'utf8')
+      console.log(chalk.bold.green('✏️ File edited:'), chalk.blue(fullPath))
+      return fullPath
+   } else {
+      console.warn(
+         chalk.red('⚠️ Cannot edit, file not found:'),
+         chalk.blue(fullPath)
+      )
+      return null
+   }
+}
+
+//* 5. Change working directory (virtual)
+export function changeDirectory(newPath) {
+   const targetPath = resolveInWorkspace(currentDir, newPath)
+   if (isDryRun()) {
+      recordPlan({ type: 'cd', input: newPath, cwd: currentDir })
+      if (!pathExists(targetPath)) addVirtualDir(targetPath)
+      currentDir = targetPath
+      return currentDir
+   }
+   if (fs.existsSync(targetPath) && fs.lstatSync(targetPath).isDirectory()) {
+      currentDir = targetPath
+      console.log(
+         chalk.bold.green('📁 Changed directory to:'),
+         chalk.blue(currentDir)
+      )
+   } else {
+      fs.mkdirSync(targetPath, { recursive: true })
+      currentDir = targetPath
+      console.log(
+         chalk.bold.green('📁 Created and changed directory to:'),
+         chalk.blue(currentDir)
+      )
+   }
+   return currentDir
+}
+
+//*Some Sub functions \
+//*🧹 cleanUp() – Remove unwanted files or directories (e.g., default CRA files)
+export function cleanUp(paths) {
+   const removed = []
+   if (isDryRun()) recordPlan({ type: 'clean', input: paths, cwd: currentDir })
+   paths.forEach((p) => {
+      const fullPath = resolveInWorkspace(currentDir, p, 'remove')
+      if (fullPath === getWorkspaceRoot()) {
+         throw new WorkspaceEscapeError(
+            p,
+            fullPath,
+            fullPath,
+            'Refusing to remove the workspace root itself'
+         )
+      }
+      if (isDryRun()) {
+         if (pathExists(fullPath)) {
+            const isDir =
+               isVirtualDir(fullPath) ||
+               (fs.existsSync(fullPath) && fs.lstatSync(fullPath).isDirectory())
+            overlayRemove(fullPath, isDir)
+            removed.push(fullPath)
+         }
+         return
+      }
+      //* lstat: a dangling symlink is still removed
+      if (fs.lstatSync(fullPath, { throwIfNoEntry: false })) {
+         snapshot(fullPath)
+         fs.lstatSync(fullPath).isDirectory()
+            ? fs.rmSync(fullPath, { recursive: true, force: true })
+            : fs.unlinkSync(fullPath)
+         console.log(chalk.red('🧹 Removed:'), chalk.cyan(fullPath))
+         removed.push(fullPath)
+      }
+   })
+   return removed
+}
+
+//*🧪 fileContains() – Check if file has a specific string (used before appending)
+export function fileContains(filePath, searchText) {
+   const fullPath = resolveInWorkspace(currentDir, filePath, 'read')
+   const content = readText(fullPath)
+   return content !== null && content.includes(searchText)
+}
+
+//*🏗️ scaffold() – Create the files of a template, existing files are only replaced
+//* with params.overwrite
+export function scaffold(templateName, params) {
+   const plan = planScaffold(templateName, params, currentDir)
+   const relative = (fullPath) => path.relative(currentDir, fullPath) || '.'
+   const existing = plan.files.filter((f) => pathExists(f.path))
+   if (existing.length && !params.overwrite) {
+      throw new ScaffoldError(
+         `Already exists: ${existing.map((f) => relative(f.path)).join(', ')}. Use another name or dir, or pass "overwrite": true.`,
+         'FILE_EXISTS'
+      )
+   }
+   const files = plan.files.map((f) => {
+      writeFile(relative(f.path), f.content)
+      return relative(f.path)
+   })
+   console.log(
+      chalk.bold.green(`🏗️  Scaffolded ${plan.template}:`),
+      chalk.blue(files.join(', '))
+   )
+   return {
+      template: plan.template,
+      dir: relative(plan.dir),
+      files,
+      options: plan.options,
+   }
+}
+
+//* logStep() – For clearly describing each step an AI is performing
+export function logStep(description) {
+   console.log('\n')
+
+   console.log(
+      '🔧 ' + chalk.bgCyanBright.black(` Step: `),
+      chalk.bold.cyan(description)
+   )
+   // console.log('\n')
+}
+
+//* scaffoldParams() – fContent of "scaffold": { name, ... } or its JSON, a plain string is the name
+export function scaffoldParams(content) {
+   if (typeof content === 'string') {
+      try {
+         return scaffoldParams(JSON.parse(content))
+      } catch {
+         return { name: content }
+      }
+   }
+   return content && typeof content === 'object' ? content : {}
+}
+
+//* startOptions() – fContent of "start": a ready pattern string or { name, ready }
+function startOptions(content) {
+   if (!content) return {}
+   if (typeof content === 'string') {
+      try {
+         return startOptions(JSON.parse(content))
+      } catch {
+         return { ready: content }
+      }
+   }
+   return { name: content.name, ready: content.ready }
+}
+
+//* startInBackground() – Start a managed process, resolves the task result fields for it
+async function startInBackground(command, options) {
+   const started = await startProcess(command, { cwd: currentDir, ...options })
+   const result = { value: started, stdout: processOutput(started.name, 30) }
+   if (started.state === 'cancelled') {
+      result.ok = false
+      result.error = new CancelledError().toJSON()
+   } else if (started.state === 'exited') {
+      result.ok = false
+      result.exitCode =
+         typeof started.exitCode === 'number' ? started.exitCode : 1
+      result.diagnostics = diagnoseFailure(processOutput(started.name, 200), {
+         command,
+         cwd: currentDir,
+      })
+   }
+   return result
+}
+
+//* commandResult() – Task result fields of a finished shell run, a failed one is diagnosed.
+//* context: { command, cwd } of the run
+function commandResult(run, context) {
+   const { stdout, stderr, exitCode } = run
+   lastShellOutput = `${stderr}\n${stdout}`
+   const result = { stdout, stderr, exitCode }
+   if (run.cancelled) {
+      return { ...result, ok: false, error: new CancelledError().toJSON() }
+   }
+   if (run.timedOut) {
+      result.error = { code: 'TIMEOUT', message: 'Command timed out' }
+   } else if (run.waitingForInput) {
+      result.error = {
+         code: 'WAITING_FOR_INPUT',
+         message: `Command waited for interactive input: ${run.prompt}`,
+      }
+   }
+   if (exitCode !== 0) {
+      result.ok = false
+      result.diagnostics = diagnoseFailure(`${stderr}\n${stdout}`, context)
+   }
+   return result
+}
+
+//* runPackageTask() – install / uninstall in the project root with its package manager,
+//* value carries what really changed in package.json and the lockfile
+async function runPackageTask(action, packages, options, approved) {
+   const plan = packageCommand(action, currentDir, packages, options)
+   if (isDryRun()) {
+      recordPlan({
+         type: action,
+         input: packages.join(' '),
+         content: options,
+         cwd: currentDir,
+      })
+      return {
+         stdout: `[dry-run] ${plan.command} recorded in the plan, not executed`,
+         exitCode: 0,
+      }
+   }
+   await checkPolicy(plan.command, approved)
+
+   const before = snapshotDependencies(findProjectRoot(plan.cwd))
+   const result = commandResult(
+      await runCommand(plan.command, { cwd: plan.cwd }),
+      { command: plan.command, cwd: plan.cwd }
+   )
+   //* npm creates package.json when there was none
+   const after = snapshotDependencies(findProjectRoot(plan.cwd))
+   result.value = {
+      manager: plan.manager.name,
+      command: plan.command,
+      ...diffDependencies(before, after),
+   }
+   return result
+}
+
+//* checkPolicy() – The approval prompt already asked the user, the policy does not ask twice
+function checkPolicy(command, approved) {
+   return checkCommand(command, { approvedBy: approved ? 'approval' : null })
+}
+
+//* previews – What the approval prompt shows, nothing is changed
+function previewRun(command, cwd) {
+   const decision = classifyCommand(command)
+   return [
+      chalk.cyan(`$ ${command}`),
+      chalk.gray(
+         `  in ${cwd} – policy: ${decision.action} (${decision.reason})`
+      ),
+   ].join('\n')
+}
+
+function previewCommand({ input }) {
+   const packageTask = parsePackageCommand(input)
+   if (!packageTask) return previewRun(input, currentDir)
+   return previewPackages(packageTask.action)({
+      input: packageTask.packages,
+      content: packageTask.options,
+   })
+}
+
+function previewPackages(action) {
+   return ({ input, content }) => {
+      const { command, cwd } = packageCommand(
+         action,
+         currentDir,
+         packageList(input),
+         packageOptions(content)
+      )
+      return previewRun(command, cwd)
+   }
+}
+
+function previewFileChange(type) {
+   return ({ input, content }) => {
+      const fullPath = resolveInWorkspace(currentDir, input)
+      const name = path.relative(getWorkspaceRoot(), fullPath)
+      const before = readText(fullPath)
+      if (type === 'edit' && before === null) {
+         return chalk.red(`${name} does not exist, the edit will fail`)
+      }
+      const after =
+         type === 'write'
+            ? String(content ?? '')
+            : typeof content === 'function'
+              ? content(before)
+              : isStructuredEdit(content)
+                ? applyEdits(before, content)
+                : String(content ?? '')
+      const diff = createUnifiedDiff(before ?? '', after, name)
+      const title =
+         before === null
+            ? chalk.green(`🆕 ${name}`)
+            : chalk.yellow(`✏️  ${name}`)
+      return `${title}\n${diff ? colorDiff(diff) : chalk.gray('(no changes)')}`
+   }
+}
+
+function previewScaffold({ input, content }) {
+   const params = scaffoldParams(content)
+   const plan = planScaffold(input, params, currentDir)
+   return plan.files
+      .map((f) => {
+         const name = path.relative(getWorkspaceRoot(), f.path)
+         if (!pathExists(f.path)) return chalk.green(`🆕 ${name}`)
+         return params.overwrite
+            ? chalk.yellow(`✏️  ${name} (overwritten)`)
+            : chalk.red(`⚠️ ${name} exists, the scaffold will fail`)
+      })
+      .join('\n')
+}
+
+function previewClean({ input }) {
+   return [input]
+      .flat()
+      .map((p) => {
+         const fullPath = resolveInWorkspace(currentDir, p, 'remove')
+         return pathExists(fullPath)
+            ? chalk.red(`🗑  ${path.relative(getWorkspaceRoot(), fullPath)}`)
+            : chalk.gray(`   ${p} (does not exist)`)
+      })
+      .join('\n')
+}
+
+//* output of the latest shell command, "diagnose" reads it when fInput is empty
+let lastShellOutput = ''
+
+//? Built-in tools
+
+const PATH = {
+   type: 'string',
+   description: 'Path relative to the current directory',
+}
+const PROCESS_NAME = {
+   type: 'string',
+   description: 'Name of the background process (returned by "start")',
+}
+
+registerTool({
+   name: 'shell',
+   description:
+      'Run one shell command in the current directory and wait for it to exit. Dev servers and watchers are started in the background instead, package installs run like "install".',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: { type: 'string', description: 'The command, one per step' },
+      },
+      required: ['input'],
+   },
+   sideEffects: true,
+   preview: previewCommand,
+   async handler({ input }, { approved }) {
+      //* package installs ("npm i -D vite") run like install / uninstall, with the
+      //* project's own package manager
+      const packageTask = parsePackageCommand(input)
+      if (packageTask) {
+         const { action, packages, options } = packageTask
+         const result = await runPackageTask(
+            action,
+            packages,
+            options,
+            approved
+         )
+         const typed = input.trim().split(/\s+/)[0]
+         if (result.value && result.value.manager !== typed) {
+            result.value.note = `Run as "${result.value.command}", the project uses ${result.value.manager}.`
+         }
+         return result
+      }
+      if (isDryRun()) {
+         const decision = classifyCommand(input)
+         recordPlan({
+            type: 'shell',
+            input,
+            cwd: currentDir,
+            note: decision.action === 'allow' ? '' : `[${decision.action}]`,
+         })
+         return {
+            stdout: '[dry-run] command recorded in the plan, not executed',
+            exitCode: 0,
+         }
+      }
+      await checkPolicy(input, approved)
+      if (looksLongRunning(input)) {
+         //* a dev server never exits, waiting for it would hang the loop
+         const result = await startInBackground(input, {})
+         result.value.note =
+            'This command does not exit, it was started as a background process. Use "logs" / "stop" with its name.'
+         return result
+      }
+
+      return commandResult(await runShellCommand(input), {
+         command: input,
+         cwd: currentDir,
+      })
+   },
+})
+
+const PACKAGES = {
+   type: ['string', 'array'],
+   items: { type: 'string' },
+   description: 'Package names, optionally with @version, separated by spaces',
+}
+
+registerTool({
+   name: 'install',
+   description:
+      "Add packages with the project's package manager (picked from the lockfile). An empty input installs everything in package.json. Result lists the packages added / upgraded.",
+   parameters: {
+      type: 'object',
+      properties: {
+         input: PACKAGES,
+         content: {
+            type: ['object', 'string'],
+            properties: {
+               dev: { type: 'boolean' },
+               exact: { type: 'boolean' },
+            },
+            description: '{ "dev": true } for dev dependencies',
+         },
+      },
+      required: ['input'],
+   },
+   sideEffects: true,
+   preview: previewPackages('install'),
+   handler({ input, content }, { approved }) {
+      return runPackageTask(
+         'install',
+         packageList(input),
+         packageOptions(content),
+         approved
+      )
+   },
+})
+
+registerTool({
+   name: 'uninstall',
+   description:
+      "Remove packages with the project's package manager. Result lists the packages removed.",
+   parameters: {
+      type: 'object',
+      properties: { input: PACKAGES },
+      required: ['input'],
+   },
+   sideEffects: true,
+   preview: previewPackages('uninstall'),
+   handler({ input }, { approved }) {
+      return runPackageTask('uninstall', packageList(input), {}, approved)
+   },
+})
+
+registerTool({
+   name: 'read',
+   description: 'Read a text file, the observation carries its content.',
+   parameters: {
+      type: 'object',
+      properties: { input: PATH },
+      required: ['input'],
+   },
+   handler({ input }) {
+      const value = readFile(input)
+      return { value, ok: value !== null }
+   },
+})
+
+registerTool({
+   name: 'write',
+   description:
+      'Create or overwrite a file with the full content, missing folders are created.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: PATH,
+         content: { type: 'string', description: 'The complete file content' },
+      },
+      required: ['input', 'content'],
+   },
+   sideEffects: true,
+   preview: previewFileChange('write'),
+   handler({ input, content }) {
+      return { value: writeFile(input, content) }
+   },
+})
+
+registerTool({
+   name: 'edit',
+   description:
+      'Change an existing file with edit operations (see the edit rules below), a plain string replaces the whole file.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: PATH,
+         content: {
+            type: ['array', 'object', 'string'],
+            description: 'List of edit operations, or the full new content',
+         },
+      },
+      required: ['input', 'content'],
+   },
+   sideEffects: true,
+   preview: previewFileChange('edit'),
+   handler({ input, content }) {
+      const value = editFile(input, content)
+      return { value, ok: value !== null }
+   },
+})
+
+//* cd only moves the agent's own working directory (a missing folder is created),
+//* the result carries the profile of the project it lands in
+registerTool({
+   name: 'cd',
+   description:
+      'Change the working directory for the following steps, it is created if missing. Result includes the project profile of the new directory.',
+   parameters: {
+      type: 'object',
+      properties: { input: PATH },
+      required: ['input'],
+   },
+   handler({ input }) {
+      const value = changeDirectory(input)
+      return { value, project: refreshProject(value)?.text }
+   },
+})
+
+registerTool({
+   name: 'contains',
+   description:
+      'Check whether a file contains a text, e.g. before appending an import. Result is true or false.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: PATH,
+         content: { type: 'string', description: 'The text to look for' },
+      },
+      required: ['input', 'content'],
+   },
+   handler({ input, content }) {
+      return { value: fileContains(input, content) }
+   },
+})
+
+registerTool({
+   name: 'scaffold',
+   description:
+      'Create a component, page, hook, context, reducer, route or project-specific module from the template library (see Templates). The result lists the files created.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: { type: 'string', description: 'Template name' },
+         content: {
+            type: ['object', 'string'],
+            properties: {
+               name: { type: 'string' },
+               dir: { type: 'string' },
+               typescript: { type: 'boolean' },
+               styling: { type: 'string', enum: STYLING },
+               test: { type: 'boolean' },
+               story: { type: 'boolean' },
+               overwrite: { type: 'boolean' },
+            },
+            description:
+               '{ "name": "UserCard" } plus options and template parameters; dir is relative to the current directory',
+         },
+      },
+      required: ['input', 'content'],
+   },
+   sideEffects: true,
+   preview: previewScaffold,
+   handler({ input, content }) {
+      return { value: scaffold(input, scaffoldParams(content)) }
+   },
+})
+
+registerTool({
+   name: 'clean',
+   description:
+      'Remove files or folders (e.g. unused template files). The result lists what was removed.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: {
+            type: ['array', 'string'],
+            items: { type: 'string' },
+            description: 'Paths to remove, an array for several',
+         },
+      },
+      required: ['input'],
+   },
+   sideEffects: true,
+   preview: previewClean,
+   handler({ input }) {
+      return { value: cleanUp([input].flat()) }
+   },
+})
+
+registerTool({
+   name: 'log',
+   description: 'Tell the user what the next step is about to do.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: { type: 'string', description: 'Short description' },
+      },
+      required: ['input'],
+   },
+   handler({ input }) {
+      logStep(input)
+      return {}
+   },
+})
+
+registerTool({
+   name: 'diagnose',
+   description:
+      'Structured diagnostics (file, line, code, message, fix) for an error output. Failed commands are diagnosed automatically, use this for output from elsewhere.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: {
+            type: 'string',
+            description: 'Output to diagnose, empty for the last shell command',
+         },
+      },
+      required: ['input'],
+   },
+   handler({ input }) {
+      return {
+         value: diagnoseFailure(input || lastShellOutput, { cwd: currentDir }),
+      }
+   },
+})
+
+registerTool({
+   name: 'start',
+   description:
+      'Start a dev server or watcher in the background, returns once it is ready with its name, url and first output lines.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: { type: 'string', description: 'The command' },
+         content: {
+            type: ['object', 'string'],
+            properties: {
+               name: { type: 'string' },
+               ready: { type: 'string' },
+            },
+            description:
+               '{ "name": "web", "ready": "regex printed once it is up" }',
+         },
+      },
+      required: ['input'],
+   },
+   sideEffects: true,
+   preview: previewCommand,
+   async handler({ input, content }, { approved }) {
+      if (isDryRun()) {
+         recordPlan({ type: 'start', input, content, cwd: currentDir })
+         return { value: '[dry-run] process recorded in the plan, not started' }
+      }
+      await checkPolicy(input, approved)
+      return startInBackground(input, startOptions(content))
+   },
+})
+
+registerTool({
+   name: 'stop',
+   description: 'Stop a background process and everything it started.',
+   parameters: {
+      type: 'object',
+      properties: { input: PROCESS_NAME },
+      required: ['input'],
+   },
+   sideEffects: true,
+   async handler({ input }) {
+      if (isDryRun()) {
+         recordPlan({ type: 'stop', input, cwd: currentDir })
+         return {}
+      }
+      return { value: await stopProcess(input) }
+   },
+})
+
+registerTool({
+   name: 'logs',
+   description: 'Latest output lines of a background process.',
+   parameters: {
+      type: 'object',
+      properties: {
+         input: PROCESS_NAME,
+         content: {
+            type: ['integer', 'string'],
+            description: 'Number of lines, default 50',
+         },
+      },
+      required: ['input'],
+   },
+   handler({ input, content }) {
+      const value = processLogs(input, Number(content) || 50)
+      //* compile errors of a running dev server only show up in its logs
+      const diagnostics = diagnose(
+         value,
+         { cwd: currentDir },
+         { fallback: false }
+      )
+      printDiagnostics(diagnostics)
+      return diagnostics.length ? { value, diagnostics } : { value }
+   },
+})
+
+registerTool({
+   name: 'ps',
+   description: 'List the background processes with their status and url.',
+   parameters: {
+      type: 'object',
+      properties: { input: { type: 'string', description: 'Always ""' } },
+   },
+   handler() {
+      return { value: listProcesses() }
+   },
+})
+
+//* plugin tools see the same sandbox and policy as the built-in ones
+function toolContext(task) {
+   return {
+      task,
+      approved: Boolean(task.approved),
+      cwd: currentDir,
+      dryRun: isDryRun(),
+      resolvePath: (target, mode) =>
+         resolveInWorkspace(currentDir, target, mode),
+      runCommand: async (command) => {
+         await checkPolicy(command, task.approved)
+         return runShellCommand(command)
+      },
+   }
+}
+
+//* previewTask() – Printable preview of a side-effecting task, from the tool's preview()
+export function previewTask({ type, input, content }) {
+   const tool = getTool(type)
+   try {
+      return tool?.preview
+         ? tool.preview({ input, content })
+         : chalk.cyan(`${type} ${input}`)
+   } catch (error) {
+      //* the task itself will fail the same way and report it to the model
+      return chalk.red(`⚠️ ${error.message}`)
+   }
+}
+
+//* 6. Decide and execute task – looks the tool up, validates its arguments, runs it.
+//* Returns a structured result so the caller can feed it back to the model:
+//* { type, input, ok, value, stdout, stderr, exitCode, diagnostics, error, durationMs }
+export async function executeTask(task) {
+   const { type, input, content } = task
+   const startedAt = Date.now()
+   const result = {
+      type,
+      input,
+      ok: true,
+      value: null,
+      stdout: null,
+      stderr: null,
+      exitCode: null,
+   }
+
+   try {
+      const tool = getTool(type)
+      if (!tool) {
+         console.error(chalk.red('❓ Unknown task type'), chalk.cyan(type))
+         result.ok = false
+         result.value = `Unknown task type: ${type}`
+         result.error = {
+            code: 'UNKNOWN_TOOL',
+            message: `Unknown tool "${type}", use one of: ${toolNames().join(', ')}`,
+         }
+      } else {
+         const args = validateArgs(tool, { input, content })
+         Object.assign(result, await tool.handler(args, toolContext(task)))
+      }
+   } catch (error) {
+      //* fs / argument errors end up here, they are reported like a failed command
+      console.error(chalk.red(`❌ Task "${type}" threw:`), error.message)
+      result.ok = false
+      result.stderr = error.message
+      if (
+         error instanceof WorkspaceEscapeError ||
+         error instanceof PolicyDeniedError ||
+         error instanceof EditError ||
+         error instanceof ScaffoldError ||
+         error instanceof ToolArgumentsError
+      ) {
+         result.error = error.toJSON()
+      }
+   }
+
+   result.durationMs = Date.now() - startedAt
+   traceTask(task, result)
+   return result
+}
+
+//* applyPlan() – Replay a reviewed dry-run plan for real, stops at the first failure
+export async function applyPlan(plan) {
+   for (const entry of plan) {
+      currentDir = entry.cwd
+      const result = await executeTask(entry)
+      if (!result.ok) {
+         console.error(
+            chalk.red('❌ Applying the plan stopped at:'),
+            chalk.cyan(`${entry.type} ${entry.input}`)
+         )
+         return false
+      }
+   }
+   console.log(chalk.bold.greenBright('✅ Plan applied'))
+   return true
+}
+//? Functions Definations Done
+
+//* plugins register after the built-in tools, every importer sees the full registry
+await loadToolPlugins()
@@ -0,0 +1,255 @@
+import chalk from 'chalk'
+import { config } from './config.mjs'
+import { getTool, listTools } from './tools.mjs'
+import {
+   createStepReader,
+   extractJsonObjects,
+   validateStep,
+   ResponseValidationError,
+   MAX_PARSE_ATTEMPTS,
+} from './responses.mjs'
+import { traceParse } from './tracing.mjs'
+
+//? Native tool calling – registry tools go out as function definitions, tool_calls come
+//? back as action steps and results return as "tool" messages. Models without tool
+//? support keep using the JSON-step protocol of lib/responses.mjs.
+
+//* toParameters() – Registry schema -> function parameters, type lists become anyOf
+//* (several providers reject "type": [...] in function schemas)
+function toParameters(schema) {
+   if (!schema || typeof schema !== 'object') return schema
+   const { type, items, properties, ...rest } = schema
+   const branch = (t) => ({
+      type: t,
+      ...(t === 'array' && items && { items: toParameters(items) }),
+      ...(t === 'object' &&
+         properties && {
+            properties: Object.fromEntries(
+               Object.entries(properties).map(([key, value]) => [
+                  key,
+                  toParameters(value),
+               ])
+            ),
+         }),
+   })
+   if (Array.isArray(type)) {
+      return { ...rest, anyOf: type.map(branch) }
+   }
+   return { ...rest, ...(type ? branch(type) : {}) }
+}
+
+export function toolDefinitions() {
+   return listTools().map((tool) => ({
+      type: 'function',
+      function: {
+         name: tool.name,
+         description: tool.description,
+         parameters: toParameters(tool.parameters),
+      },
+   }))
+}
+
+function skippedResult(call) {
+   return {
+      role: 'tool',
+      tool_call_id: call.id,
+      content: JSON.stringify({
+         step: 'observe',
+         fType: call.function?.name,
+         ok: false,
+         skipped: true,
+         content:
+            'Not run: an earlier call in the same reply failed or was rejected, or the run was stopped.',
+      }),
+   }
+}
+
+//* repairToolHistory() – Copy of the history the API accepts: every assistant message with
+//* tool_calls is directly followed by one tool message per call. Calls that never ran
+//* (a failure cleared the queue, Ctrl+C, a trimmed context) get a "skipped" answer,
+//* tool messages whose call is gone are dropped.
+export function repairToolHistory(messages) {
+   const answers = new Map()
+   for (const m of messages) {
+      if (m.role === 'tool' && !answers.has(m.tool_call_id)) {
+         answers.set(m.tool_call_id, m)
+      }
+   }
+   const repaired = []
+   for (const m of messages) {
+      if (m.role === 'tool') continue
+      repaired.push(m)
+      for (const call of m.tool_calls ?? []) {
+         repaired.push(answers.get(call.id) ?? skippedResult(call))
+      }
+   }
+   return repaired
+}
+
+//* cleanMessage() – Only what the API takes back (no refusal / audio / annotations)
+function cleanMessage(message) {
+   return {
+      role: 'assistant',
+      content: message.content ?? null,
+      ...(message.tool_calls?.length && {
+         tool_calls: message.tool_calls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: {
+               name: call.function.name,
+               arguments: call.function.arguments,
+            },
+         })),
+      }),
+   }
+}
+
+//* actionStep() – One tool call as the action step the agent loops already run.
+//* The first step of a reply carries the assistant message that has to be replayed.
+function actionStep(call, assistantMessage) {
+   let args
+   try {
+      args = JSON.parse(call.function.arguments || '{}')
+   } catch {
+      args = null
+   }
+   const required = getTool(call.function.name)?.parameters.required ?? []
+   return {
+      step: 'action',
+      function: 'executeTask',
+      fType: call.function.name,
+      //* undefined makes the loop report the missing / unreadable input to the model
+      fInput:
+         args?.input ?? (args && !required.includes('input') ? '' : undefined),
+      fContent: args?.content,
+      toolCallId: call.id,
+      ...(assistantMessage && { assistantMessage }),
+   }
+}
+
+//* outputStep() – A reply without tool calls ends the run: the JSON summary if there is
+//* one, the plain text otherwise
+function outputStep(message) {
+   const text = String(message.content ?? '').trim()
+   let step = null
+   try {
+      step = extractJsonObjects(text).find((s) => s?.step === 'output')
+   } catch {
+      //* plain text answer
+   }
+   if (!step || validateStep(step).length)
+      step = { step: 'output', content: text }
+   return { ...step, assistantMessage: message }
+}
+
+//* createToolCallReader() – Same interface as createStepReader().
+//* complete(messages) must resolve with the assistant message of a tool-enabled request.
+export function createToolCallReader(
+   complete,
+   maxAttempts = MAX_PARSE_ATTEMPTS
+) {
+   let queue = []
+
+   async function next(messages) {
+      if (queue.length) return queue.shift()
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+         const message = cleanMessage(await complete(messages))
+         if (message.tool_calls?.length) {
+            if (message.content)
+               console.log(chalk.gray(`💭 ${message.content}`))
+            //* parallel calls run one after another, in the order the model gave them
+            queue = message.tool_calls.map((call, i) =>
+               actionStep(call, i === 0 ? message : null)
+            )
+            traceParse(queue)
+            return queue.shift()
+         }
+         if (message.content?.trim()) {
+            queue = [outputStep(message)]
+            traceParse(queue)
+            return queue.shift()
+         }
+
+         const error = new ResponseValidationError(
+            'Empty reply: no tool calls and no content',
+            ''
+         )
+         traceParse(null, error)
+         console.warn(
+            chalk.yellow(
+               `⚠️ Invalid model response (${attempt}/${maxAttempts}):`
+            ),
+            chalk.gray(error.message)
+         )
+         if (attempt === maxAttempts) throw error
+         messages.push({
+            role: 'user',
+            content: JSON.stringify({
+               step: 'observe',
+               ok: false,
+               content:
+                  'Your last reply was empty. Call a tool for the next step, or reply with the output JSON when the request is done.',
+            }),
+         })
+      }
+   }
+
+   //* dropped calls are answered as "skipped" by repairToolHistory() on the next request
+   function clear() {
+      queue = []
+   }
+
+   function pending() {
+      return queue.length
+   }
+
+   //* stepMessages() – What goes into the history when the loop takes a step
+   function stepMessages(step) {
+      return step.assistantMessage ? [step.assistantMessage] : []
+   }
+
+   //* resultMessage() – An observation (user message) as the answer to its tool call
+   function resultMessage(step, message) {
+      if (!step.toolCallId) return message
+      return {
+         role: 'tool',
+         tool_call_id: step.toolCallId,
+         content: message.content,
+      }
+   }
+
+   return {
+      protocol: 'tools',
+      next,
+      clear,
+      pending,
+      stepMessages,
+      resultMessage,
+   }
+}
+
+//* createAgentReader() – config.protocol: "json" | "tools" | "auto" (tools when the
+//* provider supports them). Tool calling falls back to JSON steps without tool support.
+export function createAgentReader(provider, context) {
+   const wanted = config.protocol
+   const supported = Boolean(provider.capabilities?.tools)
+   if (wanted === 'tools' && !supported) {
+      console.warn(
+         chalk.yellow(
+            `⚠️ ${provider.name} has no tool calling (capabilities.tools), using JSON steps`
+         )
+      )
+   }
+   if (wanted === 'json' || !supported || !['tools', 'auto'].includes(wanted)) {
+      return createStepReader(context.wrap(provider.complete))
+   }
+   return createToolCallReader(
+      context.wrap((messages) =>
+         provider.completeWithTools(
+            repairToolHistory(messages),
+            toolDefinitions()
+         )
+      )
+   )
+}
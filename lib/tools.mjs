@@ -0,0 +1,193 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'node:url'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+
+//? Tool registry – every fType the model can use is a tool with a schema and a handler.
+//? Built-in tools are registered by lib/tasks.mjs, third-party ones come from tools.pluginDir.
+
+//* tool: {
+//*    name, description,
+//*    parameters: JSON schema of { input, content } (fInput / fContent of the step),
+//*    sideEffects: true when it changes files, runs commands or processes (needs approval),
+//*    handler(args, context) -> partial task result { value, ok, stdout, stderr, exitCode, error, ... },
+//*    preview?(args) -> printable preview for the approval prompt
+//* }
+const tools = new Map()
+
+export class ToolArgumentsError extends Error {
+   constructor(tool, errors) {
+      super(`Invalid arguments for "${tool}": ${errors.join('; ')}`)
+      this.name = 'ToolArgumentsError'
+      this.code = 'INVALID_ARGUMENTS'
+      this.tool = tool
+      this.errors = errors
+   }
+
+   toJSON() {
+      return { code: this.code, message: this.message, errors: this.errors }
+   }
+}
+
+//* registerTool() – Throws on a missing handler or a name that is already taken
+export function registerTool(tool) {
+   if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler function')
+   }
+   if (tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`)
+   }
+   tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      sideEffects: false,
+      ...tool,
+   })
+   return tool
+}
+
+export function getTool(name) {
+   return tools.get(name) ?? null
+}
+
+export function listTools() {
+   return [...tools.values()]
+}
+
+export function toolNames() {
+   return [...tools.keys()]
+}
+
+function typeOf(value) {
+   if (Array.isArray(value)) return 'array'
+   if (value === null) return 'null'
+   if (Number.isInteger(value)) return 'integer'
+   return typeof value
+}
+
+function matchesType(value, type) {
+   const actual = typeOf(value)
+   return actual === type || (type === 'number' && actual === 'integer')
+}
+
+//* checkSchema() – The JSON schema subset tools use: type (or list of types), enum,
+//* items, properties, required, anyOf. Returns a list of errors, empty when valid.
+export function checkSchema(value, schema, where = 'value') {
+   if (!schema) return []
+   if (schema.anyOf) {
+      const failing = schema.anyOf.map((s) => checkSchema(value, s, where))
+      return failing.some((errors) => !errors.length) ? [] : failing[0]
+   }
+
+   const types = [schema.type ?? []].flat()
+   if (types.length && !types.some((t) => matchesType(value, t))) {
+      return [`${where} must be ${types.join(' or ')}, got ${typeOf(value)}`]
+   }
+   if (schema.enum && !schema.enum.includes(value)) {
+      return [`${where} must be one of ${schema.enum.join(', ')}`]
+   }
+
+   const errors = []
+   if (Array.isArray(value) && schema.items) {
+      value.forEach((item, i) =>
+         errors.push(...checkSchema(item, schema.items, `${where}[${i}]`))
+      )
+   }
+   if (typeOf(value) === 'object' && schema.properties) {
+      for (const key of schema.required ?? []) {
+         if (value[key] === undefined || value[key] === null) {
+            errors.push(`${where} is missing "${key}"`)
+         }
+      }
+      for (const [key, rule] of Object.entries(schema.properties)) {
+         if (value[key] === undefined || value[key] === null) continue
+         errors.push(...checkSchema(value[key], rule, `${where}.${key}`))
+      }
+   }
+   return errors
+}
+
+//* validateArgs() – { input, content } against the tool's schema, throws ToolArgumentsError
+export function validateArgs(tool, args) {
+   const errors = checkSchema(args, tool.parameters, 'args').map((e) =>
+      e.replace(/^args\.input/, 'fInput').replace(/^args\.content/, 'fContent')
+   )
+   if (errors.length) throw new ToolArgumentsError(tool.name, errors)
+   return args
+}
+
+//? Plugins
+
+function pluginDir() {
+   return path.join(getWorkspaceRoot(), config.tools.pluginDir)
+}
+
+//* loadToolPlugins() – Every .mjs/.js file in tools.pluginDir default-exports a tool
+//* or an array of tools. A broken plugin is reported and skipped.
+export async function loadToolPlugins(dir = pluginDir()) {
+   if (!fs.existsSync(dir)) return []
+   const loaded = []
+   const files = fs
+      .readdirSync(dir)
+      .filter((f) => /\.(mjs|js)$/.test(f))
+      .sort()
+   for (const file of files) {
+      try {
+         const module = await import(pathToFileURL(path.join(dir, file)).href)
+         for (const tool of [module.default ?? module.tools ?? []].flat()) {
+            registerTool({ ...tool, plugin: file })
+            loaded.push(tool.name)
+         }
+      } catch (error) {
+         console.warn(
+            chalk.yellow(`⚠️ Tool plugin ${file} skipped:`),
+            chalk.gray(error.message)
+         )
+      }
+   }
+   if (loaded.length) {
+      console.log(chalk.gray(`🧩 Plugin tools: ${loaded.join(', ')}`))
+   }
+   return loaded
+}
+
+//? System prompt
+
+function describeType(schema) {
+   if (!schema) return 'any'
+   if (schema.anyOf) return schema.anyOf.map(describeType).join(' | ')
+   if (schema.enum) return schema.enum.map((v) => JSON.stringify(v)).join(' | ')
+   return [schema.type ?? 'any']
+      .flat()
+      .map((t) =>
+         t === 'array' && schema.items ? `${describeType(schema.items)}[]` : t
+      )
+      .join(' | ')
+}
+
+function describeParam(label, schema, required) {
+   if (!schema) return null
+   const flag = required ? 'required' : 'optional'
+   return `  - \`${label}\` (${describeType(schema)}, ${flag})${schema.description ? `: ${schema.description}` : ''}`
+}
+
+//* toolsPromptSection() – The "Tools" part of the system prompt, generated from the registry
+export function toolsPromptSection() {
+   const lines = listTools().map((tool) => {
+      const { properties = {}, required = [] } = tool.parameters
+      return [
+         `- \`${tool.name}\`${tool.sideEffects ? ' (side effects, may need user approval)' : ''}: ${tool.description}`,
+         describeParam('fInput', properties.input, required.includes('input')),
+         describeParam(
+            'fContent',
+            properties.content,
+            required.includes('content')
+         ),
+      ]
+         .filter(Boolean)
+         .join('\n')
+   })
+   return lines.join('\n')
+}
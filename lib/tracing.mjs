@@ -0,0 +1,407 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'node:url'
+import { config } from './config.mjs'
+import { getWorkspaceRoot } from './sandbox.mjs'
+import { truncate } from './observe.mjs'
+
+//? Run tracing – every prompt's run is written to .agent/traces/<id>.jsonl,
+//? one event per model call, parsed reply, graph node and task. Offline, no services.
+
+const SETTINGS = config.tracing
+
+//* exporter names that ship with the agent, anything else is a path from the workspace root
+const BUILTIN_EXPORTERS = {
+   langsmith: new URL('./langsmithExporter.mjs', import.meta.url),
+}
+
+//* { id, file, prompt, startedAt, seq, lastCall, sent }
+//* sent – the messages of the previous model call, serialized, see newMessages()
+let current = null
+let exporters = null
+
+function tracesDir() {
+   return path.join(getWorkspaceRoot(), SETTINGS.dir)
+}
+
+function traceFile(id) {
+   return path.join(tracesDir(), `${id}.jsonl`)
+}
+
+function newId() {
+   const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)
+   return `${stamp}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+//* clip() – Long strings inside an event are cut to tracing.contentChars
+function clip(value) {
+   if (typeof value === 'string') return truncate(value, SETTINGS.contentChars)
+   if (Array.isArray(value)) return value.map(clip)
+   if (value && typeof value === 'object') {
+      return Object.fromEntries(
+         Object.entries(value).map(([key, v]) => [key, clip(v)])
+      )
+   }
+   return value
+}
+
+//* loadExporters() – tracing.exporters: ["langsmith", "./my-exporter.mjs"]; each module
+//* exports createExporter(settings) -> { onEvent(event), flush() }
+async function loadExporters() {
+   const loaded = []
+   for (const name of SETTINGS.exporters ?? []) {
+      try {
+         const url =
+            BUILTIN_EXPORTERS[name] ??
+            pathToFileURL(path.resolve(getWorkspaceRoot(), name))
+         const module = await import(url.href)
+         const exporter = await module.createExporter(SETTINGS)
+         if (exporter) loaded.push({ name, ...exporter })
+      } catch (error) {
+         console.warn(
+            chalk.yellow(`⚠️ Trace exporter "${name}" disabled:`),
+            chalk.gray(error.message)
+         )
+      }
+   }
+   return loaded
+}
+
+function exportEvent(event) {
+   exporters ??= loadExporters()
+   exporters.then((list) =>
+      list.forEach((exporter) => {
+         try {
+            exporter.onEvent?.(event)
+         } catch (error) {
+            console.warn(
+               chalk.yellow(`⚠️ Trace exporter "${exporter.name}" failed:`),
+               chalk.gray(error.message)
+            )
+         }
+      })
+   )
+}
+
+//* prune() – Keep the newest tracing.keep trace files
+function prune() {
+   const files = fs
+      .readdirSync(tracesDir())
+      .filter((f) => f.endsWith('.jsonl'))
+      .sort()
+   files
+      .slice(0, Math.max(0, files.length - SETTINGS.keep))
+      .forEach((f) => fs.rmSync(path.join(tracesDir(), f), { force: true }))
+}
+
+export function isTracing() {
+   return Boolean(SETTINGS.enabled && current)
+}
+
+//* traceEvent() – Append one event to the running trace, a no-op outside a run
+export function traceEvent(type, data = {}) {
+   if (!isTracing()) return null
+   const event = {
+      trace: current.id,
+      seq: ++current.seq,
+      type,
+      at: new Date().toISOString(),
+      ...clip(data),
+   }
+   try {
+      fs.appendFileSync(current.file, JSON.stringify(event) + '\n')
+   } catch (error) {
+      console.warn(chalk.yellow('⚠️ Could not write trace:'), error.message)
+   }
+   if (SETTINGS.exporters?.length) exportEvent(event)
+   return event
+}
+
+//* startTrace() – meta: where the run comes from { entry, session, thread }
+export function startTrace(prompt, meta = {}) {
+   if (!SETTINGS.enabled) return null
+   fs.mkdirSync(tracesDir(), { recursive: true })
+   prune()
+   const id = newId()
+   current = {
+      id,
+      file: traceFile(id),
+      prompt,
+      startedAt: Date.now(),
+      seq: 0,
+      lastCall: null,
+      sent: [],
+   }
+   traceEvent('run', { phase: 'start', prompt, ...meta })
+   return id
+}
+
+//* endTrace() – Resolves once exporters have flushed the run
+export async function endTrace(status, data = {}) {
+   if (!isTracing()) return null
+   const id = current.id
+   traceEvent('run', {
+      phase: 'end',
+      status,
+      durationMs: Date.now() - current.startedAt,
+      ...data,
+   })
+   current = null
+   if (exporters) {
+      for (const exporter of await exporters) await exporter.flush?.()
+   }
+   return id
+}
+
+//* newMessages() – { messageCount, messagesFrom, messages } with only the messages that
+//* changed since the previous call: the history is resent every step and logging it
+//* whole makes a trace grow with the square of its steps. tracing.fullMessages logs all.
+function newMessages(messages) {
+   const serialized = messages.map((m) => JSON.stringify(m))
+   let from = 0
+   if (!SETTINGS.fullMessages) {
+      while (
+         from < serialized.length &&
+         serialized[from] === current.sent[from]
+      ) {
+         from++
+      }
+   }
+   current.sent = serialized
+   return {
+      messageCount: messages.length,
+      messagesFrom: from,
+      messages: messages.slice(from),
+   }
+}
+
+//* traceModelCall() – Wraps one chat completion request
+export async function traceModelCall(provider, request, call) {
+   if (!isTracing()) return call()
+   const startedAt = Date.now()
+   const id = `call-${current.seq + 1}`
+   const sent = newMessages(request.messages)
+   try {
+      const response = await call()
+      const choice = response.choices?.[0]
+      traceEvent('model', {
+         id,
+         provider: provider.name,
+         model: response.model ?? provider.model,
+         ...sent,
+         response: choice?.message ?? null,
+         finishReason: choice?.finish_reason ?? null,
+         usage: response.usage ?? null,
+         latencyMs: Date.now() - startedAt,
+      })
+      if (current) current.lastCall = id
+      return response
+   } catch (error) {
+      traceEvent('model', {
+         id,
+         provider: provider.name,
+         model: provider.model,
+         ...sent,
+         error: error.message,
+         latencyMs: Date.now() - startedAt,
+      })
+      throw error
+   }
+}
+
+//* traceParse() – The steps (or the validation error) read from the last model reply
+export function traceParse(steps, error = null) {
+   if (!isTracing()) return
+   traceEvent('parse', {
+      call: current.lastCall,
+      steps: steps ?? [],
+      error: error?.message ?? null,
+   })
+}
+
+//* traceNode() – LangGraph node wrapper, records how long it ran and what it changed
+export function traceNode(name, node) {
+   return async (state, ...rest) => {
+      const startedAt = Date.now()
+      try {
+         const update = await node(state, ...rest)
+         traceEvent('node', {
+            name,
+            durationMs: Date.now() - startedAt,
+            step: update?.stepS ?? state.stepS ?? null,
+            updated: Object.keys(update ?? {}),
+         })
+         return update
+      } catch (error) {
+         //* interrupt() throws too, the approval node shows up as "interrupted"
+         traceEvent('node', {
+            name,
+            durationMs: Date.now() - startedAt,
+            error:
+               error.name === 'GraphInterrupt' ? 'interrupted' : error.message,
+         })
+         throw error
+      }
+   }
+}
+
+export function traceTask(task, result) {
+   traceEvent('task', {
+      taskType: task.type,
+      input: task.input,
+      content: task.content,
+      ok: result.ok,
+      exitCode: result.exitCode,
+      error: result.error ?? null,
+      value: result.value,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      durationMs: result.durationMs,
+   })
+}
+
+//?? Reading traces back
+
+export function listTraces() {
+   if (!fs.existsSync(tracesDir())) return []
+   return fs
+      .readdirSync(tracesDir())
+      .filter((f) => f.endsWith('.jsonl'))
+      .sort()
+      .reverse()
+      .map((f) => f.replace(/\.jsonl$/, ''))
+}
+
+//* loadTrace() – Events of a trace by id or unique prefix, newest trace when id is empty
+export function loadTrace(id) {
+   const ids = listTraces()
+   const matches = id ? ids.filter((t) => t.startsWith(id)) : ids.slice(0, 1)
+   if (!matches.length) throw new Error(`No trace "${id ?? ''}"`)
+   if (matches.length > 1) {
+      throw new Error(
+         `"${id}" matches ${matches.length} traces, be more specific`
+      )
+   }
+   return fs
+      .readFileSync(traceFile(matches[0]), 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+}
+
+function seconds(ms) {
+   return `${(ms / 1000).toFixed(2)}s`
+}
+
+function short(value, limit = 70) {
+   const text = typeof value === 'string' ? value : JSON.stringify(value)
+   const line = String(text ?? '').replace(/\s+/g, ' ')
+   return line.length > limit ? `${line.slice(0, limit - 1)}…` : line
+}
+
+function describeStep(step) {
+   if (step.step === 'action')
+      return `action ${step.fType} ${short(step.fInput, 50)}`
+   return `${step.step} ${short(step.content ?? step.PHASES ?? '', 50)}`
+}
+
+//* timelineLine() – One rendered event, null for events the timeline skips
+function timelineLine(event) {
+   switch (event.type) {
+      case 'model': {
+         const usage = event.usage
+            ? chalk.gray(
+                 ` in ${event.usage.prompt_tokens} / out ${event.usage.completion_tokens} tok`
+              )
+            : ''
+         return (
+            `🤖 ${chalk.magenta('model')} ${event.model} ${chalk.gray(`${event.latencyMs}ms, ${event.messageCount ?? event.messages?.length ?? 0} msgs`)}` +
+            usage +
+            (event.error ? chalk.red(` ✖ ${event.error}`) : '')
+         )
+      }
+      case 'parse':
+         return event.error
+            ? `   ${chalk.red('✖ invalid reply')} ${chalk.gray(short(event.error))}`
+            : event.steps.map((s) => `   → ${describeStep(s)}`).join('\n')
+      case 'node':
+         return `🔷 ${chalk.blue('node')}  ${event.name} ${chalk.gray(`${event.durationMs}ms`)}${event.error ? chalk.yellow(` (${event.error})`) : ''}`
+      case 'task':
+         return (
+            `⚙️  ${chalk.cyan('task')}  ${event.taskType} ${short(event.input, 50)} ` +
+            (event.ok
+               ? chalk.green('✓')
+               : chalk.red(`✖ ${event.error?.code ?? ''}`)) +
+            (event.exitCode !== null && event.exitCode !== undefined
+               ? chalk.gray(` exit ${event.exitCode}`)
+               : '') +
+            chalk.gray(` ${event.durationMs}ms`)
+         )
+      default:
+         return null
+   }
+}
+
+//* printTrace() – Readable timeline of one run
+export function printTrace(id) {
+   const events = loadTrace(id)
+   const start = events.find((e) => e.type === 'run' && e.phase === 'start')
+   const end = events.find((e) => e.type === 'run' && e.phase === 'end')
+   const models = events.filter((e) => e.type === 'model')
+   const tokens = models.reduce(
+      (sum, e) => sum + (e.usage?.total_tokens ?? 0),
+      0
+   )
+   const origin = Date.parse(start?.at ?? events[0].at)
+
+   console.log(
+      chalk.bold.green(`🧭 Trace ${events[0].trace}`),
+      chalk.cyan(short(start?.prompt ?? '', 60))
+   )
+   console.log(
+      chalk.gray(
+         `${end ? `${end.status}, ${seconds(end.durationMs)}` : 'unfinished'} – ` +
+            `${models.length} model call(s), ${tokens} tokens, ` +
+            `${events.filter((e) => e.type === 'task').length} task(s)`
+      )
+   )
+   for (const event of events) {
+      const line = timelineLine(event)
+      if (!line) continue
+      const offset = chalk.gray(
+         `+${seconds(Date.parse(event.at) - origin)}`.padStart(9)
+      )
+      console.log(`${event.type === 'parse' ? ' '.repeat(9) : offset} ${line}`)
+   }
+   return events
+}
+
+export function printTraces(limit = 20) {
+   const ids = listTraces().slice(0, limit)
+   if (!ids.length) console.log(chalk.gray('No traces yet.'))
+   for (const id of ids) {
+      //* the first line is the run start event
+      const [line] = fs.readFileSync(traceFile(id), 'utf8').split('\n', 1)
+      const start = line ? JSON.parse(line) : null
+      console.log(chalk.cyan(id), chalk.gray(short(start?.prompt ?? '', 60)))
+   }
+}
+
+//* handleTraceCommand() – REPL commands: exactly "traces", "trace" or "trace view [id]".
+//* Anything else ("trace the render loop in App.jsx") is a prompt for the agent.
+export function handleTraceCommand(prompt) {
+   const text = prompt.trim()
+   if (text === 'traces') {
+      printTraces()
+      return true
+   }
+   const match = text.match(/^trace(?:\s+view(?:\s+(\S+))?)?$/)
+   if (!match) return false
+   try {
+      printTrace(match[1])
+   } catch (error) {
+      console.log(chalk.red(error.message))
+   }
+   return true
+}
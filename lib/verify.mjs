@@ -0,0 +1,211 @@
+import chalk from 'chalk'
+import fs from 'fs'
+import path from 'path'
+import { config } from './config.mjs'
+import { runCommand } from './shell.mjs'
+import { checkCommand, PolicyDeniedError } from './policy.mjs'
+import { isDryRun } from './dryRun.mjs'
+import { getTool } from './tools.mjs'
+import { truncate } from './observe.mjs'
+import { diagnose, formatDiagnostic } from './diagnostics.mjs'
+import { readJson, findProjectRoot, detectPackageManager } from './packages.mjs'
+
+//? Verification – before an output step is accepted the project's own checks run
+//? (typecheck, lint, build, test); failures go back to the model for a fix pass
+
+const SETTINGS = config.verify
+
+//* package.json script names each check looks for, first match wins
+const CHECK_SCRIPTS = {
+   typecheck: ['typecheck', 'type-check', 'check-types', 'types', 'tsc'],
+   lint: ['lint'],
+   build: ['build'],
+   test: ['test'],
+}
+
+//* scripts that are placeholders, not checks ("npm init" writes the first one)
+const PLACEHOLDER_SCRIPTS = [/no test specified/, /^\s*exit 0\s*$/]
+
+//* runScript() – "npm run build", "pnpm run build", ...
+function runScript(manager, script) {
+   return `${manager} run ${script}`
+}
+
+//* detectChecks() – [{ name, command }] for the project `dir` belongs to, in verify.checks order
+export function detectChecks(dir) {
+   const root = findProjectRoot(dir)
+   if (!root) return { root: null, checks: [] }
+   const scripts = readJson(path.join(root, 'package.json'))?.scripts ?? {}
+   const manager = detectPackageManager(root).name
+
+   const checks = []
+   for (const name of SETTINGS.checks) {
+      if (SETTINGS.scripts[name]) {
+         checks.push({ name, command: SETTINGS.scripts[name] })
+         continue
+      }
+      const script = CHECK_SCRIPTS[name]?.find(
+         (s) =>
+            scripts[s] && !PLACEHOLDER_SCRIPTS.some((p) => p.test(scripts[s]))
+      )
+      if (script) {
+         checks.push({ name, command: runScript(manager, script) })
+      } else if (
+         name === 'typecheck' &&
+         fs.existsSync(path.join(root, 'tsconfig.json')) &&
+         fs.existsSync(path.join(root, 'node_modules', '.bin', 'tsc')) &&
+         !/\btsc\b/.test(scripts.build ?? '')
+      ) {
+         //* TypeScript projects without a script, unless the build runs tsc already
+         checks.push({ name, command: 'npx --no-install tsc --noEmit' })
+      }
+   }
+   return { root, checks }
+}
+
+//* runCheck() – One check, never rejects
+async function runCheck(check, root) {
+   try {
+      await checkCommand(check.command)
+   } catch (error) {
+      if (!(error instanceof PolicyDeniedError)) throw error
+      return { ...check, ok: null, skipped: error.message }
+   }
+   //* CI=true makes watch-mode runners (vitest, react-scripts test) run once
+   const run = await runCommand(check.command, {
+      cwd: root,
+      timeoutMs: SETTINGS.timeoutMs,
+      env: { CI: 'true' },
+   })
+   const output = `${run.stdout}\n${run.stderr}`.trim()
+   return {
+      ...check,
+      ok: run.exitCode === 0 && !run.timedOut && !run.cancelled,
+      exitCode: run.exitCode,
+      durationMs: run.durationMs,
+      cancelled: run.cancelled,
+      timedOut: run.timedOut,
+      diagnostics:
+         run.exitCode === 0
+            ? []
+            : diagnose(output, { command: check.command, cwd: root }),
+      output: run.exitCode === 0 ? null : truncate(output, 3000),
+   }
+}
+
+//* runChecks() – { ok, cancelled, checks } for the project `dir` belongs to.
+//* Stops at a cancelled check; a failed one does not stop the others.
+export async function runChecks(dir) {
+   const { root, checks } = detectChecks(dir)
+   const results = []
+   if (!checks.length) return { ok: true, cancelled: false, checks: results }
+
+   console.log(
+      chalk.bold.cyan('🧪 Verifying:'),
+      chalk.gray(checks.map((c) => c.name).join(', '))
+   )
+   for (const check of checks) {
+      const result = await runCheck(check, root)
+      results.push(result)
+      if (result.cancelled) break
+   }
+   const report = {
+      ok: results.every((r) => r.ok !== false),
+      cancelled: results.some((r) => r.cancelled),
+      checks: results,
+   }
+   printReport(report)
+   return report
+}
+
+//* verificationSummary() – { passed, failed, skipped } check names, for the output step
+export function verificationSummary(report, cycles = 0) {
+   const names = (filter) => report.checks.filter(filter).map((c) => c.name)
+   return {
+      passed: names((c) => c.ok === true),
+      failed: names((c) => c.ok === false),
+      skipped: names((c) => c.ok === null),
+      cycles,
+   }
+}
+
+function printReport(report) {
+   const line = report.checks
+      .map((c) =>
+         c.ok === true
+            ? chalk.green(`✔ ${c.name}`)
+            : c.ok === false
+              ? chalk.red(`✖ ${c.name}`)
+              : chalk.gray(`– ${c.name}`)
+      )
+      .join('  ')
+   console.log(chalk.bold('🧪 Checks:'), line)
+   for (const check of report.checks.filter((c) => c.ok === false)) {
+      check.diagnostics
+         .slice(0, 5)
+         .forEach((d) =>
+            console.log(
+               chalk.redBright('  •'),
+               chalk.yellow(formatDiagnostic(d))
+            )
+         )
+   }
+}
+
+//* verificationMessage() – Observation that sends the model back to fix the failed checks
+function verificationMessage(report, cyclesLeft) {
+   const failed = report.checks.filter((c) => c.ok === false)
+   return {
+      role: 'user',
+      content: JSON.stringify({
+         step: 'observe',
+         ok: false,
+         verification: {
+            passed: report.checks.filter((c) => c.ok).map((c) => c.name),
+            failed: failed.map((c) => ({
+               check: c.name,
+               command: c.command,
+               exitCode: c.exitCode,
+               timedOut: c.timedOut || undefined,
+               diagnostics: c.diagnostics,
+               output: c.output,
+            })),
+         },
+         cyclesLeft,
+         content: `The output was not accepted: ${failed.map((c) => c.name).join(', ')} failed. Fix the errors, then reply with the output step again.`,
+      }),
+   }
+}
+
+//* createVerifier() – Verification state of one run: whether anything changed since the
+//* start and how many verify -> fix cycles were used. verify() resolves
+//* { retry, message, report, summary }: retry means push `message` and let the model fix.
+export function createVerifier(settings = SETTINGS) {
+   let changed = false
+   let cycles = 0
+
+   //* noteResult() – Only runs that changed something are verified
+   function noteResult(result) {
+      if (result.ok && getTool(result.type)?.sideEffects) changed = true
+   }
+
+   async function verify(dir) {
+      if (!settings.enabled || !changed || isDryRun()) {
+         return { retry: false, report: null, summary: null }
+      }
+      const report = await runChecks(dir)
+      const summary = verificationSummary(report, cycles)
+      if (report.ok || report.cancelled || cycles >= settings.maxCycles) {
+         return { retry: false, report, summary }
+      }
+      cycles++
+      return {
+         retry: true,
+         report,
+         summary,
+         message: verificationMessage(report, settings.maxCycles - cycles),
+      }
+   }
+
+   return { noteResult, verify }
+}
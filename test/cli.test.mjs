@@ -0,0 +1,85 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url))
+
+//* runCli() – cli.mjs in a fresh directory with the mock provider replaying `script`
+function runCli(script, args = []) {
+   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-cli-'))
+   const scriptFile = path.join(dir, 'mock.json')
+   fs.writeFileSync(scriptFile, JSON.stringify(script))
+   const run = spawnSync(
+      process.execPath,
+      [CLI, '--prompt', 'test', '--yes', '--no-verify', ...args],
+      {
+         cwd: dir,
+         encoding: 'utf8',
+         timeout: 60000,
+         env: {
+            ...process.env,
+            AGENT_PROVIDER: 'mock',
+            AGENT_MOCK_SCRIPT: scriptFile,
+            AGENT_WORKSPACE_ROOT: dir,
+         },
+      }
+   )
+   fs.rmSync(dir, { recursive: true, force: true })
+   return run
+}
+
+test('--json keeps shell output off stdout', () => {
+   const run = runCli(
+      [
+         {
+            step: 'action',
+            function: 'executeTask',
+            fType: 'shell',
+            fInput: 'echo live-output',
+         },
+         { step: 'output', content: 'done' },
+      ],
+      ['--json']
+   )
+   const result = JSON.parse(run.stdout)
+   assert.equal(result.status, 'success')
+   assert.equal(result.actions[0].ok, true)
+   assert.match(run.stderr, /live-output/)
+})
+
+test('a package installed where there was no package.json is reported', () => {
+   const install = [
+      `echo '{"dependencies":{"is-number":"^7.0.0"}}' > package.json`,
+      'mkdir -p node_modules/is-number',
+      `echo '{"name":"is-number","version":"7.0.0"}' > node_modules/is-number/package.json`,
+   ].join(' && ')
+   const run = runCli(
+      [
+         {
+            step: 'action',
+            function: 'executeTask',
+            fType: 'shell',
+            fInput: install,
+         },
+         { step: 'output', content: 'done' },
+      ],
+      ['--json']
+   )
+   const result = JSON.parse(run.stdout)
+   assert.deepEqual(result.packagesInstalled, ['is-number@7.0.0'])
+})
+
+test('--max-steps below 1 is rejected', () => {
+   for (const value of ['0', '-3']) {
+      const run = runCli([], [`--max-steps=${value}`])
+      assert.notEqual(run.status, 0)
+      assert.match(
+         run.stderr,
+         /--max-steps must be a whole number of at least 1/
+      )
+   }
+})
@@ -0,0 +1,80 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { BUILTIN_RULES, classifyCommand, splitCommand } from '../lib/policy.mjs'
+
+test('splitCommand() splits on newlines like ;', () => {
+   assert.deepEqual(splitCommand('npm -v\nsudo rm -rf ~\r\nls'), {
+      segments: ['npm -v', 'sudo rm -rf ~', 'ls'],
+      operators: [';', ';'],
+   })
+})
+
+test('splitCommand() keeps quoted newlines and line continuations', () => {
+   assert.deepEqual(splitCommand('echo "a\nb"'), {
+      segments: ['echo "a\nb"'],
+      operators: [],
+   })
+   assert.deepEqual(splitCommand('npm run build \\\n  --silent\n'), {
+      segments: ['npm run build    --silent'],
+      operators: [],
+   })
+})
+
+test('classifyCommand() denies a dangerous command on a later line', () => {
+   const decision = classifyCommand('npm -v\nsudo rm -rf ~', BUILTIN_RULES)
+   assert.equal(decision.action, 'deny')
+   assert.equal(decision.reason, 'Privilege escalation')
+})
+
+test('classifyCommand() allows a single safe command with a trailing newline', () => {
+   assert.equal(classifyCommand('npm test\n', BUILTIN_RULES).action, 'allow')
+})
+
+test('classifyCommand() asks before node runs inline code', () => {
+   for (const command of [
+      "node -e \"require('fs').rmSync('x')\"",
+      'node --eval=1',
+      'node --no-warnings -pe 1',
+   ]) {
+      const decision = classifyCommand(command, BUILTIN_RULES)
+      assert.equal(decision.action, 'ask', command)
+      assert.equal(decision.reason, 'Runs inline code')
+   }
+   assert.equal(
+      classifyCommand('node server.js -p 3000', BUILTIN_RULES).action,
+      'allow'
+   )
+   assert.equal(classifyCommand('node --test', BUILTIN_RULES).action, 'allow')
+})
+
+test('classifyCommand() asks before npx and friends run a package', () => {
+   for (const command of [
+      'npx create-vite app',
+      'npm exec cowsay',
+      'pnpm dlx degit x',
+   ]) {
+      const decision = classifyCommand(command, BUILTIN_RULES)
+      assert.equal(decision.action, 'ask', command)
+      assert.equal(decision.reason, 'Downloads and runs a package')
+   }
+   assert.equal(classifyCommand('npm run build', BUILTIN_RULES).action, 'allow')
+})
+
+test('splitCommand() follows POSIX backslash escapes', () => {
+   assert.deepEqual(splitCommand('echo "a\\"; rm -rf x"'), {
+      segments: ['echo "a\\"; rm -rf x"'],
+      operators: [],
+   })
+   assert.deepEqual(splitCommand("echo 'a\\'; rm -rf x"), {
+      segments: ["echo 'a\\'", 'rm -rf x'],
+      operators: [';'],
+   })
+   assert.deepEqual(splitCommand('echo "a\\\\"; rm -rf x'), {
+      segments: ['echo "a\\\\"', 'rm -rf x'],
+      operators: [';'],
+   })
+   assert.deepEqual(splitCommand('echo a\\; ls \\"; rm -rf x'), {
+      segments: ['echo a\\; ls \\"', 'rm -rf x'],
+      operators: [';'],
+   })
+})
@@ -0,0 +1,11 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { looksLongRunning } from '../lib/processes.mjs'
+
+test('looksLongRunning() checks every segment of a command', () => {
+   assert.equal(looksLongRunning('npm run dev'), true)
+   assert.equal(looksLongRunning('cd app && npm run dev'), true)
+   assert.equal(looksLongRunning('npm install\nnpx vite --port 3000'), true)
+   assert.equal(looksLongRunning('cd app && npm run build'), false)
+   assert.equal(looksLongRunning('echo "npm run dev"'), false)
+})